@@ -0,0 +1,104 @@
+// lib/billingExport.js
+// Export eines bestätigten Vorschlags für die Praxissoftware: CSV, JSON und zeilenweise Vorlagen
+// (scripts/rules/export_formats.json, z. B. Innomed-Leistungskette). Abtippen der Codes entfällt.
+//
+// Vorlagen: { label, extension, mime?, header?, line, separator?, footer?, repeat? }
+//   line      Platzhalter {pos} {quantity} {date} {date:TT.MM.JJJJ} {payer} {region} {title} {points} {caseId}
+//   separator zwischen den Zeilen (Standard „\r\n“)
+//   repeat    jede Position quantity-mal ausgeben (für Software ohne Mengenfeld), {quantity} ist dann 1
+
+const isStr = (x) => typeof x === "string";
+const PLACEHOLDER = /\{(\w+)(?::([^}]+))?\}/g;
+const FIELDS = ["pos", "quantity", "date", "payer", "region", "title", "points", "caseId"];
+
+// --- Schema (für lib/catalogData.js) ---
+function checkExportFormats(j) {
+  if (!j || typeof j !== "object" || Array.isArray(j) || !j.formats || typeof j.formats !== "object") {
+    return ["export_formats.json: Objekt { formats: { name: vorlage } } erwartet"];
+  }
+  const problems = [];
+  for (const [name, f] of Object.entries(j.formats)) {
+    const where = `export_formats.json: ${name}`;
+    if (["csv", "json"].includes(name)) { problems.push(`${where}: Name ist für den eingebauten Export reserviert`); continue; }
+    if (!/^[a-z0-9_-]+$/.test(name)) problems.push(`${where}: Name nur aus a-z, 0-9, _ und -`);
+    if (!f || typeof f !== "object") { problems.push(`${where}: Objekt erwartet`); continue; }
+    if (!isStr(f.label) || !f.label) problems.push(`${where}: label fehlt`);
+    if (!isStr(f.extension) || !/^[a-z0-9]+$/i.test(f.extension)) problems.push(`${where}: extension (z. B. „txt“) fehlt`);
+    if (!isStr(f.line) || !f.line) problems.push(`${where}: line (Zeilenvorlage) fehlt`);
+    for (const k of ["header", "separator", "footer", "mime"]) if (f[k] !== undefined && !isStr(f[k])) problems.push(`${where}: ${k} muss Text sein`);
+    if (f.repeat !== undefined && typeof f.repeat !== "boolean") problems.push(`${where}: repeat muss true/false sein`);
+    const unknown = Array.from(String(f.line || "").matchAll(PLACEHOLDER), (m) => m[1]).filter((k) => !FIELDS.includes(k));
+    if (unknown.length) problems.push(`${where}: unbekannte Platzhalter ${unknown.map((k) => `{${k}}`).join(", ")} (erlaubt: ${FIELDS.join(", ")})`);
+  }
+  return problems;
+}
+
+// „2025-06-02“ → Muster mit JJJJ/MM/TT (auch YYYY/DD)
+function formatDate(day, pattern) {
+  if (!pattern || !day) return day || "";
+  const [y, m, d] = day.split("-");
+  return pattern.replace(/JJJJ|YYYY/g, y).replace(/MM/g, m).replace(/TT|DD/g, d);
+}
+
+// Vorschlag → Zeilen { pos, quantity, date, payer, region, title, points, caseId }
+function exportRows(proposal) {
+  return proposal.positions.map((p) => ({
+    pos: String(p.pos),
+    quantity: p.quantity || 1,
+    date: p.date || proposal.serviceDate,
+    payer: p.payer || proposal.payer,
+    region: p.region || proposal.region || "",
+    title: p.title || "",
+    points: p.points || "",
+    caseId: proposal.caseId || ""
+  }));
+}
+
+// CSV mit Semikolon (Excel in AT/DE), Felder bei Bedarf in Anführungszeichen
+const csvCell = (v) => (/[;"\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+function toCsv(proposal) {
+  const cols = ["pos", "quantity", "date", "payer", "region", "title", "points"];
+  const lines = [cols.join(";"), ...exportRows(proposal).map((r) => cols.map((c) => csvCell(r[c])).join(";"))];
+  return lines.join("\r\n") + "\r\n";
+}
+
+function toJson(proposal) {
+  return JSON.stringify({
+    payer: proposal.payer,
+    region: proposal.region || null,
+    serviceDate: proposal.serviceDate,
+    caseId: proposal.caseId || null,
+    catalogVersion: proposal.catalogVersion || null,
+    positions: exportRows(proposal).map(({ caseId: _c, payer: _p, ...r }) => r),
+    totals: proposal.totals || []
+  }, null, 2);
+}
+
+function fromTemplate(proposal, f) {
+  const rows = exportRows(proposal).flatMap((r) => (f.repeat ? Array.from({ length: r.quantity }, () => ({ ...r, quantity: 1 })) : [r]));
+  const fill = (tpl, r) => tpl.replace(PLACEHOLDER, (_m, k, fmt) => (k === "date" ? formatDate(r.date, fmt) : String(r[k] ?? "")));
+  const sep = f.separator === undefined ? "\r\n" : f.separator;
+  const head = { ...rows[0], pos: "", quantity: "", title: "", points: "" };
+  return [f.header ? fill(f.header, head) : null, rows.map((r) => fill(f.line, r)).join(sep), f.footer ? fill(f.footer, head) : null]
+    .filter((x) => x !== null).join(sep);
+}
+
+// verfügbare Formate für die Oberfläche
+function exportFormats(config) {
+  return [
+    { id: "csv", label: "CSV (Pos.-Nr, Anzahl, Datum, Träger)", extension: "csv" },
+    { id: "json", label: "JSON", extension: "json" },
+    ...Object.entries(config?.formats || {}).map(([id, f]) => ({ id, label: f.label, extension: f.extension }))
+  ];
+}
+
+// → { body, mime, extension } | { error }
+function renderExport(proposal, format, config) {
+  if (format === "csv") return { body: toCsv(proposal), mime: "text/csv; charset=utf-8", extension: "csv" };
+  if (format === "json") return { body: toJson(proposal), mime: "application/json; charset=utf-8", extension: "json" };
+  const f = config?.formats?.[format];
+  if (!f) return { error: `Unbekanntes Exportformat: ${format} (${exportFormats(config).map((x) => x.id).join(", ")})` };
+  return { body: fromTemplate(proposal, f), mime: f.mime || "text/plain; charset=utf-8", extension: f.extension };
+}
+
+module.exports = { checkExportFormats, exportFormats, renderExport, formatDate };
@@ -0,0 +1,134 @@
+// lib/billingResult.js
+// Strukturiertes Ergebnis von /api/abrechnen und dessen Markdown-Ansicht.
+// status: "suggestion" (Positionen) | "question" (Rückfragen mit Antwortoptionen) | "no_match"
+// violations: Verstöße gegen Abrechnungsregeln (lib/billingRules.js), vom Server vor dem Senden ergänzt
+// euro/euroTotal/euroMissing: Eurobeträge aus den Punktwerten (lib/punktwerte.js), ebenfalls vom Server ergänzt
+// citations: Textstellen aus den Tarifbestimmungen, die das Modell gesehen hat (lib/retrieval.js), nur im LLM-Modus
+
+const { formatAmount } = require("./pdfTable");
+
+// Katalogeintrag → Position im Ergebnis
+function positionFromItem(it, { quantity = 1, reason = "" } = {}) {
+  return {
+    pos: String(it.pos),
+    title: it.title,
+    points: it.points || "",
+    amount: it.amount || null,
+    notes: it.notes || "",
+    payer: it.payer,
+    region: it.region || null,
+    source: it.source || null,
+    page: it.page ?? null,
+    snippet: it.snippet || "",
+    version: it.version || null,
+    quantity,
+    reason
+  };
+}
+
+// Rückfrage; options: [{ value, label }] – value wird als Antwort-Prompt zurückgeschickt
+const ask = (id, text, options = []) => ({
+  id,
+  text,
+  options: options.map((o) => (typeof o === "string" ? { value: o, label: o } : o))
+});
+
+// Summen je Träger; Punkte verschiedener Punkteklassen und Eurobeträge werden getrennt summiert
+function totalsOf(positions) {
+  const sums = new Map();
+  for (const p of positions) {
+    if (!p.amount) continue;
+    const key = `${p.payer}::${p.amount.unit}::${p.amount.klasse || ""}`;
+    const cur = sums.get(key) || { payer: p.payer, unit: p.amount.unit, klasse: p.amount.klasse || null, value: 0 };
+    cur.value = Math.round((cur.value + p.amount.value * (p.quantity || 1)) * 10000) / 10000;
+    sums.set(key, cur);
+  }
+  return Array.from(sums.values());
+}
+
+function suggestion({ payer, region = null, serviceDate = null, positions, message = "" }) {
+  return { status: "suggestion", payer, region, serviceDate, positions, totals: totalsOf(positions), questions: [], violations: [], message };
+}
+// positions: optional vorläufige Kandidaten bzw. bereits geklärte Leistungen, die mit der Rückfrage angezeigt werden
+function question({ payer = null, region = null, serviceDate = null, questions, positions = [], message = "" }) {
+  return { status: "question", payer, region, serviceDate, positions, totals: totalsOf(positions), questions, violations: [], message };
+}
+function noMatch({ payer = null, region = null, serviceDate = null, message }) {
+  return { status: "no_match", payer, region, serviceDate, positions: [], totals: [], questions: [], violations: [], message };
+}
+
+// --- Markdown-Ansicht (bisheriges Ausgabeformat) ---
+function totalsLines(totals) {
+  const byPayer = new Map();
+  for (const t of totals) {
+    if (!byPayer.has(t.payer)) byPayer.set(t.payer, []);
+    byPayer.get(t.payer).push(formatAmount(t));
+  }
+  return Array.from(byPayer, ([payer, parts]) => `Summe ${payer}: ${parts.join(" + ")}`);
+}
+
+// Fundstellen im Quell-PDF, z. B. „Quellen: 54 → HK ÖGK.pdf S. 2“
+function sourcesLine(positions) {
+  const refs = positions.filter((p) => p.source).map((p) => `${p.pos} → ${p.source}${p.page ? ` S. ${p.page}` : ""}`);
+  return refs.length ? `\nQuellen: ${refs.join("; ")}` : "";
+}
+
+// Eurobetrag („€ 12,34“) bzw. „–“ ohne bekannten Punktwert
+const euroText = (v) => (v == null ? "–" : `€ ${v.toFixed(2).replace(".", ",")}`);
+function euroLine(euroTotal, missing = []) {
+  const open = missing.length ? ` (ohne Eurobetrag: ${missing.map((p) => `Pos. ${p}`).join(", ")})` : "";
+  return `Summe Euro: ${euroText(euroTotal)}${open}`;
+}
+
+// Textstellen, z. B. „[q1] SVS.pdf S. 56 (Pos. 45a): „Die Positionen 45a, 45b … nicht verrechenbar.““
+function citationsText(citations) {
+  return `Fundstellen:\n${citations.map((c) => `[${c.id}] ${c.file}${c.page ? ` S. ${c.page}` : ""} (Pos. ${c.pos.join(", ")}): „${c.passage}“`).join("\n")}`;
+}
+
+// mit Eurobeträgen (priceResult in lib/punktwerte.js) zusätzliche Spalte „€“ und Eurosumme
+function positionsTable(positions, totals = [], euroTotal = undefined, euroMissing = []) {
+  const priced = euroTotal !== undefined;
+  const rows = positions.map((p) =>
+    `${p.quantity > 1 ? `${p.quantity}× ` : ""}${p.pos} | ${p.title} | ${p.points}${priced ? ` | ${euroText(p.euro)}` : ""}${p.notes ? " | " + p.notes : ""}`);
+  const many = positions.length > 1 || positions.some((p) => p.quantity > 1);
+  const sum = many ? totalsLines(totals) : [];
+  if (priced && many) sum.push(euroLine(euroTotal, euroMissing));
+  const head = priced
+    ? "Pos.-Nr | Leistungstext | Punkte/€ | € | Zusatzinfo\n------- | ------------- | -------- | - | -----------"
+    : "Pos.-Nr | Leistungstext | Punkte/€ | Zusatzinfo\n------- | ------------- | -------- | -----------";
+  return `${head}
+${rows.join("\n")}
+${sum.length ? `\n${sum.join("\n")}\n` : ""}
+Copy-Paste-Liste: ${positions.map((p) => p.pos).join("; ")}${sourcesLine(positions)}`;
+}
+
+function renderMarkdown(result) {
+  const parts = [];
+  if (result.status === "question") parts.push(`Rückfrage: ${result.questions.map((q) => q.text).join(" ")}`);
+  if (result.message) parts.push(result.message);
+  if (result.positions.length) parts.push(positionsTable(result.positions, result.totals, result.euroTotal, result.euroMissing));
+  const violations = result.violations || [];
+  if (violations.length) {
+    parts.push(violations.map((v) => `${v.severity === "hint" ? "Hinweis" : "⚠️ Regelverstoß"}: ${v.message} (Quelle: ${v.source})`).join("\n"));
+  }
+  if (result.citations?.length) parts.push(citationsText(result.citations));
+  return parts.join("\n\n");
+}
+
+// Trägervergleich (POST /api/compare): eine Zeile je Träger/Landesstelle
+const COMPARE_STATUS = { ambiguous: "mehrdeutig", none: "keine entsprechende Position" };
+function renderComparison({ service, rows }) {
+  const lines = rows.map((r) => {
+    const where = `${r.payer}${r.region ? ` ${r.region}` : r.nationwide ? " bundesweit" : ""}`;
+    if (r.position) return `${where} | ${r.position.pos} | ${r.position.title} | ${r.position.points}`;
+    const alt = r.alternatives.map((a) => `${a.pos} (${a.points})`).join(", ");
+    return `${where} | – | ${r.note || COMPARE_STATUS[r.status]}${alt ? `: ${alt}` : ""} | –`;
+  });
+  return `Vergleich für „${service}“
+
+Träger | Pos.-Nr | Leistungstext | Punkte/€
+------ | ------- | ------------- | --------
+${lines.join("\n")}`;
+}
+
+module.exports = { positionFromItem, ask, suggestion, question, noMatch, totalsOf, renderMarkdown, renderComparison };
@@ -0,0 +1,141 @@
+// lib/billingRules.js
+// Deklarative Abrechnungsregeln je Träger (scripts/rules/billing_rules.json) und deren Prüfung.
+// Regeltypen:
+//   excludes   { pos, with }                 – nicht gemeinsam (auch nicht am selben Tag) verrechenbar
+//   requires   { pos, with }                 – nur zusammen mit einer der Positionen in „with“
+//   limit      { pos, max, per }             – höchstens max-mal pro day|quarter|halfyear|year|patient (Summe über alle pos)
+//   age        { pos, minAge?, maxAge? }     – Alter in vollendeten Lebensjahren
+//   specialty  { pos, specialties }          – nur für diese Fachgebiete
+// Pflicht: id, payer, type, pos, source; optional region (nur für diese Landesstelle) und message (eigener Text).
+
+const RULE_TYPES = ["excludes", "requires", "limit", "age", "specialty"];
+const PERIODS = { day: "Tag", quarter: "Quartal", halfyear: "Halbjahr", year: "Kalenderjahr", patient: "Patient" };
+
+const isStr = (x) => typeof x === "string";
+const isPosList = (x) => Array.isArray(x) && x.length > 0 && x.every((p) => isStr(p) || typeof p === "number");
+const posKey = (p) => String(p).trim().toLowerCase();
+const lower = (s) => String(s || "").trim().toLowerCase();
+
+// --- Schema (für lib/catalogData.js) ---
+function checkBillingRules(j) {
+  if (!Array.isArray(j)) return ["billing_rules.json: Array erwartet"];
+  const problems = [];
+  const ids = new Set();
+  j.forEach((r, i) => {
+    const where = `billing_rules.json: [${i}]${r?.id ? ` (${r.id})` : ""}`;
+    if (!r || typeof r !== "object") { problems.push(`${where}: Objekt erwartet`); return; }
+    if (!isStr(r.id) || !r.id) problems.push(`${where}: id fehlt`);
+    else if (ids.has(r.id)) problems.push(`${where}: id doppelt`);
+    ids.add(r.id);
+    if (!isStr(r.payer) || !r.payer) problems.push(`${where}: payer fehlt`);
+    if (r.region !== undefined && !isStr(r.region)) problems.push(`${where}: region muss Text sein`);
+    if (!RULE_TYPES.includes(r.type)) problems.push(`${where}: type muss eines von ${RULE_TYPES.join(", ")} sein`);
+    if (!isPosList(r.pos)) problems.push(`${where}: pos muss eine Liste von Pos.-Nrn. sein`);
+    if (!isStr(r.source) || !r.source) problems.push(`${where}: source (Fundstelle) fehlt`);
+    if ((r.type === "excludes" || r.type === "requires") && !isPosList(r.with)) problems.push(`${where}: with muss eine Liste von Pos.-Nrn. sein`);
+    if (r.type === "limit") {
+      if (!Number.isInteger(r.max) || r.max < 1) problems.push(`${where}: max muss eine ganze Zahl ≥ 1 sein`);
+      if (!(r.per in PERIODS)) problems.push(`${where}: per muss eines von ${Object.keys(PERIODS).join(", ")} sein`);
+    }
+    if (r.type === "age") {
+      const ok = (v) => v === undefined || (Number.isInteger(v) && v >= 0);
+      if (!ok(r.minAge) || !ok(r.maxAge) || (r.minAge === undefined && r.maxAge === undefined)) {
+        problems.push(`${where}: minAge und/oder maxAge als ganze Zahl angeben`);
+      }
+    }
+    if (r.type === "specialty" && !(Array.isArray(r.specialties) && r.specialties.length && r.specialties.every(isStr))) {
+      problems.push(`${where}: specialties muss eine Textliste sein`);
+    }
+    if (r.message !== undefined && !isStr(r.message)) problems.push(`${where}: message muss Text sein`);
+  });
+  return problems;
+}
+
+// --- Zeiträume ---
+function periodStart(day, per) {
+  const [y, m] = day.split("-").map(Number);
+  if (per === "day") return day;
+  if (per === "quarter") return `${y}-${String(Math.floor((m - 1) / 3) * 3 + 1).padStart(2, "0")}-01`;
+  if (per === "halfyear") return `${y}-${m <= 6 ? "01" : "07"}-01`;
+  if (per === "year") return `${y}-01-01`;
+  return "0000-01-01";
+}
+
+// Regeln für Träger/Landesstelle; Regeln mit region gelten nur, wenn die Landesstelle bekannt ist und passt
+function rulesFor(rules, { payer, region = null }) {
+  return (rules || []).filter((r) => lower(r.payer) === lower(payer) && (!r.region || lower(r.region) === lower(region)));
+}
+
+const posLabel = (list) => list.map((p) => `Pos. ${p}`).join(", ");
+const ageText = ({ minAge, maxAge }) =>
+  minAge !== undefined && maxAge !== undefined ? `zwischen ${minAge} und ${maxAge} Jahren`
+    : minAge !== undefined ? `ab ${minAge} Jahren` : `bis ${maxAge} Jahre`;
+
+// Vorschlag prüfen.
+// positions: [{ pos, quantity }]; ctx: { payer, region, serviceDate, history: [{ pos, date, quantity }], age, specialties }
+// → [{ ruleId, type, severity: "error" | "hint", pos: [..], message, source }]
+// „hint“: die Regel lässt sich mangels Angabe (Alter, Fachgebiet) nicht prüfen
+function checkPositions(positions, rules, ctx = {}) {
+  const { serviceDate, history = [], age = null, specialties = [] } = ctx;
+  const day = serviceDate || new Date().toISOString().slice(0, 10);
+  const count = new Map();
+  for (const p of positions) count.set(posKey(p.pos), (count.get(posKey(p.pos)) || 0) + (p.quantity || 1));
+  const inPeriod = (per) => {
+    const from = periodStart(day, per);
+    return history.filter((h) => (per === "day" ? h.date === day : h.date >= from && h.date <= day));
+  };
+  const sameDay = new Set(inPeriod("day").map((h) => posKey(h.pos)));
+
+  const violations = [];
+  for (const r of rulesFor(rules, ctx)) {
+    const hit = r.pos.map(posKey).filter((p) => count.has(p));
+    if (!hit.length) continue;
+    const shown = positions.filter((p) => hit.includes(posKey(p.pos))).map((p) => String(p.pos));
+    const uniqueShown = Array.from(new Set(shown));
+    const add = (message, severity = "error") =>
+      violations.push({ ruleId: r.id, type: r.type, severity, pos: uniqueShown, message: r.message || message, source: r.source });
+    const others = (r.with || []).map(posKey);
+
+    if (r.type === "excludes") {
+      const clash = (r.with || []).filter((w) => count.has(posKey(w)) || sameDay.has(posKey(w)));
+      if (clash.length) add(`${posLabel(uniqueShown)} ist nicht gemeinsam mit ${posLabel(clash)} verrechenbar.`);
+    } else if (r.type === "requires") {
+      if (!others.some((w) => count.has(w) || sameDay.has(w))) add(`${posLabel(uniqueShown)} nur zusammen mit ${r.with.map((w) => `Pos. ${w}`).join(" oder ")} verrechenbar.`);
+    } else if (r.type === "limit") {
+      const earlier = inPeriod(r.per).filter((h) => r.pos.map(posKey).includes(posKey(h.pos)))
+        .reduce((n, h) => n + (h.quantity || 1), 0);
+      const total = earlier + hit.reduce((n, p) => n + count.get(p), 0);
+      if (total > r.max) {
+        add(`${posLabel(uniqueShown)} höchstens ${r.max}× pro ${PERIODS[r.per]} verrechenbar (hier ${total}×${earlier ? `, davon ${earlier}× bereits verrechnet` : ""}).`);
+      }
+    } else if (r.type === "age") {
+      if (age === null || age === undefined) add(`${posLabel(uniqueShown)} nur für Patient:innen ${ageText(r)} – Alter nicht angegeben.`, "hint");
+      else if ((r.minAge !== undefined && age < r.minAge) || (r.maxAge !== undefined && age > r.maxAge)) {
+        add(`${posLabel(uniqueShown)} nur für Patient:innen ${ageText(r)} verrechenbar (Alter: ${age}).`);
+      }
+    } else if (r.type === "specialty") {
+      const mine = (specialties || []).map(lower);
+      if (!mine.length) add(`${posLabel(uniqueShown)} nur für ${r.specialties.join(", ")} – Fachgebiet nicht angegeben.`, "hint");
+      else if (!r.specialties.some((s) => mine.includes(lower(s)))) add(`${posLabel(uniqueShown)} nur für ${r.specialties.join(", ")} verrechenbar.`);
+    }
+  }
+  return violations;
+}
+
+// Zusatzleistungen nur übernehmen, wenn sie (zusammen mit den gewählten Positionen) keine Regel verletzen.
+// Wiederholt, bis nichts mehr wegfällt – fällt die Erstordination weg, fällt auch ein davon abhängiger Zuschlag.
+// reasons: die Verstöße, wegen derer etwas weggefallen ist
+function admissibleAddOns(addOns, chosen, rules, ctx) {
+  let keep = addOns.slice();
+  const reasons = [];
+  for (;;) {
+    const errors = checkPositions([...chosen, ...keep], rules, ctx).filter((v) => v.severity === "error");
+    const bad = new Set(keep.map((a) => posKey(a.pos)).filter((p) => errors.some((v) => v.pos.map(posKey).includes(p))));
+    reasons.push(...errors.filter((v) => v.pos.some((p) => bad.has(posKey(p)))));
+    const next = keep.filter((a) => !bad.has(posKey(a.pos)));
+    if (next.length === keep.length) return { addOns: keep, dropped: addOns.filter((a) => !keep.includes(a)), reasons };
+    keep = next;
+  }
+}
+
+module.exports = { checkBillingRules, checkPositions, admissibleAddOns, RULE_TYPES };
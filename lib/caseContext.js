@@ -0,0 +1,130 @@
+// lib/caseContext.js
+// Pseudonymer Fallkontext für Limits pro Quartal/Jahr: Fall-ID, bereits verrechnete Positionen, Erstkontakt.
+// Enthält bewusst KEINE Patientendaten (Name, Geburtsdatum, SV-Nummer …) – nur die hier erlaubten Felder.
+// Der Client kann den Kontext mitschicken ({ id, firstContact, billed }) oder nur die ID; dann gilt der
+// beim Server gespeicherte Stand (je Benutzer getrennt, im Speicher).
+
+const crypto = require("crypto");
+
+const CASE_ID = /^[A-Za-z0-9_-]{6,64}$/;
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+const CASE_FIELDS = ["id", "firstContact", "billed"];
+const BILLED_FIELDS = ["pos", "date", "quantity", "payer"];
+
+const newCaseId = () => `f_${crypto.randomBytes(9).toString("base64url")}`;
+
+function quarterOf(day) {
+  const [y, m] = day.split("-").map(Number);
+  return `${y}-Q${Math.floor((m - 1) / 3) + 1}`;
+}
+
+// Fall-ID prüfen; 10 Ziffern sehen nach SV-Nummer aus und werden abgelehnt
+function checkCaseId(id) {
+  if (!CASE_ID.test(String(id || ""))) return "Fall-ID: 6–64 Zeichen aus Buchstaben, Ziffern, _ und -";
+  if (/^\d{10}$/.test(id)) return "Fall-ID darf keine Sozialversicherungsnummer sein – bitte eine pseudonyme ID verwenden";
+  return null;
+}
+
+// verrechnete Positionen → [{ pos, date, quantity, payer }] oder { error }
+function parseBilled(list, defaults = {}) {
+  if (!Array.isArray(list)) return { error: "billed muss eine Liste sein" };
+  const out = [];
+  for (const [i, b] of list.entries()) {
+    const where = `billed[${i}]`;
+    if (!b || typeof b !== "object") return { error: `${where}: Objekt erwartet` };
+    const extra = Object.keys(b).filter((k) => !BILLED_FIELDS.includes(k));
+    if (extra.length) return { error: `${where}: nicht erlaubte Felder ${extra.join(", ")} (erlaubt: ${BILLED_FIELDS.join(", ")})` };
+    if (!String(b.pos ?? "").trim()) return { error: `${where}: pos fehlt` };
+    const date = b.date || defaults.date;
+    if (!ISO_DAY.test(String(date || ""))) return { error: `${where}: date muss JJJJ-MM-TT sein` };
+    const quantity = b.quantity === undefined ? 1 : Number(b.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) return { error: `${where}: quantity muss eine ganze Zahl ≥ 1 sein` };
+    out.push({ pos: String(b.pos).trim(), date, quantity, payer: b.payer || defaults.payer || null });
+  }
+  return { billed: out };
+}
+
+// Fallkontext aus dem Request → { case } | { error }
+function parseCaseInput(raw) {
+  if (typeof raw === "string") raw = { id: raw };
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { error: "case muss ein Objekt { id, firstContact, billed } sein" };
+  const extra = Object.keys(raw).filter((k) => !CASE_FIELDS.includes(k));
+  if (extra.length) {
+    return { error: `Fallkontext darf keine Patientendaten enthalten – nicht erlaubte Felder: ${extra.join(", ")} (erlaubt: ${CASE_FIELDS.join(", ")})` };
+  }
+  const idError = checkCaseId(raw.id);
+  if (idError) return { error: idError };
+  if (raw.firstContact !== undefined && raw.firstContact !== null && !ISO_DAY.test(String(raw.firstContact))) {
+    return { error: "firstContact muss JJJJ-MM-TT sein" };
+  }
+  const out = { id: raw.id, firstContact: raw.firstContact || null };
+  if (raw.billed !== undefined) {
+    const { billed, error } = parseBilled(raw.billed);
+    if (error) return { error };
+    out.billed = billed;
+  }
+  return { case: out };
+}
+
+// Speicher je Benutzer (im Speicher); Fälle ohne Änderung seit ttlDays Tagen werden verworfen,
+// über maxCases hinaus fallen die am längsten unveränderten weg
+function createCaseStore({ ttlDays = 400, maxCases = 10000 } = {}) {
+  const cases = new Map();
+  const key = (owner, id) => `${owner}::${id}`;
+  const expired = (c) => Date.now() - c.updatedAt > ttlDays * 86400000;
+  // Map hält die Einfügereihenfolge: save setzt neu ein, vorne stehen also die ältesten Einträge
+  const sweep = () => {
+    for (const [k, c] of cases) {
+      if (cases.size <= maxCases && !expired(c)) break;
+      cases.delete(k);
+    }
+  };
+  return {
+    get(owner, id) {
+      const c = cases.get(key(owner, id));
+      if (c && expired(c)) { cases.delete(key(owner, id)); return null; }
+      return c || null;
+    },
+    save(owner, c) {
+      const saved = { id: c.id, firstContact: c.firstContact || null, billed: c.billed || [], updatedAt: Date.now() };
+      cases.delete(key(owner, c.id));
+      cases.set(key(owner, c.id), saved);
+      sweep();
+      return saved;
+    },
+    addBilled(owner, id, entries) {
+      const c = this.get(owner, id) || { id, firstContact: null, billed: [] };
+      const billed = c.billed.concat(entries);
+      const earliest = billed.map((b) => b.date).sort()[0] || null;
+      return this.save(owner, { ...c, billed, firstContact: c.firstContact && c.firstContact < earliest ? c.firstContact : earliest });
+    },
+    remove(owner, id) { return cases.delete(key(owner, id)); }
+  };
+}
+
+// Kontext aus Request (hat Vorrang) und gespeichertem Stand zusammenführen; nur Einträge des Trägers
+function resolveCase(input, stored, payer) {
+  const c = { id: input.id, firstContact: input.firstContact || stored?.firstContact || null, billed: input.billed || stored?.billed || [] };
+  c.billed = c.billed.filter((b) => !b.payer || !payer || b.payer === payer);
+  return c;
+}
+
+// Zusammenfassung für die Antwort
+function caseSummary(c, serviceDate) {
+  const quarter = quarterOf(serviceDate);
+  const billedThisQuarter = c.billed.filter((b) => quarterOf(b.date) === quarter && b.date <= serviceDate);
+  // Folgebesuch: früherer Kontakt (Erstkontakt oder verrechnete Leistung) im selben Quartal wie die Leistung
+  const earlier = [c.firstContact, ...c.billed.map((b) => b.date)]
+    .filter((d) => d && d < serviceDate && quarterOf(d) === quarter)
+    .sort();
+  return {
+    id: c.id,
+    quarter,
+    firstContact: c.firstContact,
+    returning: earlier.length > 0,
+    contactThisQuarter: earlier[0] || null,
+    billedThisQuarter
+  };
+}
+
+module.exports = { newCaseId, quarterOf, checkCaseId, parseBilled, parseCaseInput, createCaseStore, resolveCase, caseSummary };
@@ -0,0 +1,155 @@
+// lib/catalogData.js
+// Laden, Prüfen und Beobachten der Katalogdaten (index.json, synonyms.json, embeddings.json) und der Dateien in scripts/rules/
+// (catalog_rules.json, billing_rules.json, slots.json, export_formats.json, punktwerte.json, diagnoses.json).
+// Der Server tauscht die Daten nur als Ganzes aus – schlägt die Prüfung fehl, bleibt der alte Stand aktiv.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { checkBillingRules } = require("./billingRules");
+const { checkSlotModel } = require("./slotEngine");
+const { checkExportFormats } = require("./billingExport");
+const { checkPunktwerte } = require("./punktwerte");
+const { checkEmbeddings } = require("./embeddings");
+const { checkDiagnoses } = require("./diagnoses");
+
+const ROOT = path.join(__dirname, "..");
+const CATALOG_FILES = {
+  index: path.join(ROOT, "catalogs", "index.json"),
+  synonyms: path.join(ROOT, "catalogs", "synonyms.json"),
+  embeddings: path.join(ROOT, "catalogs", "embeddings.json"),
+  rules: path.join(ROOT, "scripts", "rules", "catalog_rules.json"),
+  billingRules: path.join(ROOT, "scripts", "rules", "billing_rules.json"),
+  slots: path.join(ROOT, "scripts", "rules", "slots.json"),
+  exportFormats: path.join(ROOT, "scripts", "rules", "export_formats.json"),
+  punktwerte: path.join(ROOT, "scripts", "rules", "punktwerte.json"),
+  diagnoses: path.join(ROOT, "scripts", "rules", "diagnoses.json")
+};
+// synonyms.json, embeddings.json und die Regeldateien sind optional (Fallback leer), index.json nicht
+const OPTIONAL = { synonyms: {}, embeddings: null, rules: [], billingRules: [], slots: { families: [] }, exportFormats: { formats: {} }, punktwerte: [], diagnoses: { groups: [] } };
+
+const isStr = (x) => typeof x === "string";
+const isStrArray = (x) => Array.isArray(x) && x.every(isStr);
+
+// --- Schemas ---
+function checkIndex(j) {
+  const problems = [];
+  if (!j || typeof j !== "object" || Array.isArray(j)) return ["index.json: Objekt erwartet"];
+  if (!Array.isArray(j.items)) return ["index.json: items muss ein Array sein"];
+  if (!j.items.length) problems.push("index.json: items ist leer");
+  if (j.sources !== undefined && !Array.isArray(j.sources)) problems.push("index.json: sources muss ein Array sein");
+  j.items.forEach((it, i) => {
+    if (problems.length >= 20) return;
+    const where = `index.json: items[${i}]`;
+    if (!it || typeof it !== "object") { problems.push(`${where}: Objekt erwartet`); return; }
+    if (!isStr(it.payer) || !it.payer) problems.push(`${where}: payer fehlt`);
+    if (!isStr(it.pos) && typeof it.pos !== "number") problems.push(`${where}: pos fehlt`);
+    if (!isStr(it.title)) problems.push(`${where}: title fehlt`);
+    for (const k of ["validFrom", "validTo"]) {
+      if (it[k] != null && !/^\d{4}-\d{2}-\d{2}$/.test(it[k])) problems.push(`${where}: ${k} muss JJJJ-MM-TT sein`);
+    }
+  });
+  return problems;
+}
+
+function checkSynonyms(j) {
+  if (!j || typeof j !== "object" || Array.isArray(j)) return ["synonyms.json: Objekt { begriff: [synonyme] } erwartet"];
+  return Object.entries(j)
+    .filter(([, v]) => !isStrArray(v))
+    .map(([k]) => `synonyms.json: „${k}“ muss eine Liste von Texten sein`);
+}
+
+function checkRules(j) {
+  if (!Array.isArray(j)) return ["catalog_rules.json: Array erwartet"];
+  const problems = [];
+  j.forEach((r, i) => {
+    const where = `catalog_rules.json: [${i}]`;
+    if (!r || typeof r !== "object") { problems.push(`${where}: Objekt erwartet`); return; }
+    if (r.payer !== undefined && !isStr(r.payer)) problems.push(`${where}: payer muss Text sein`);
+    for (const k of ["whenAll", "whenAny"]) {
+      if (r[k] !== undefined && !isStrArray(r[k])) problems.push(`${where}: ${k} muss eine Textliste sein`);
+    }
+    if (!(r.whenAll || []).length && !(r.whenAny || []).length) problems.push(`${where}: whenAll oder whenAny angeben`);
+    if (!Array.isArray(r.prefer) || !r.prefer.every((p) => isStr(p) || typeof p === "number")) {
+      problems.push(`${where}: prefer muss eine Liste von Pos.-Nrn. sein`);
+    }
+  });
+  return problems;
+}
+
+const CHECKS = { index: checkIndex, synonyms: checkSynonyms, embeddings: checkEmbeddings, rules: checkRules, billingRules: checkBillingRules, slots: checkSlotModel, exportFormats: checkExportFormats, punktwerte: checkPunktwerte, diagnoses: checkDiagnoses };
+
+// --- Laden ---
+function readJson(key) {
+  const file = CATALOG_FILES[key];
+  if (!fs.existsSync(file) && key in OPTIONAL) return { data: OPTIONAL[key], hash: null };
+  const raw = fs.readFileSync(file, "utf8");
+  let data;
+  try { data = JSON.parse(raw); } catch (e) { throw new Error(`${path.basename(file)}: kein gültiges JSON (${e.message})`); }
+  return { data, hash: crypto.createHash("sha256").update(raw).digest("hex").slice(0, 12) };
+}
+
+// Liest und prüft alle Dateien; wirft bei Fehlern (err.problems), ohne etwas zu verändern
+function loadCatalogData() {
+  const out = {};
+  const problems = [];
+  for (const key of Object.keys(CATALOG_FILES)) {
+    try {
+      const { data, hash } = readJson(key);
+      problems.push(...CHECKS[key](data));
+      out[key] = { data, hash };
+    } catch (e) {
+      problems.push(e.message);
+    }
+  }
+  if (problems.length) {
+    const err = new Error(`Katalogdaten ungültig: ${problems[0]}${problems.length > 1 ? ` (+${problems.length - 1} weitere)` : ""}`);
+    err.problems = problems;
+    throw err;
+  }
+  return {
+    index: out.index.data,
+    synonyms: out.synonyms.data,
+    embeddings: out.embeddings.data,
+    rules: out.rules.data,
+    billingRules: out.billingRules.data,
+    slots: out.slots.data,
+    exportFormats: out.exportFormats.data,
+    punktwerte: out.punktwerte.data,
+    diagnoses: out.diagnoses.data,
+    versions: {
+      index: out.index.data.version || out.index.hash,
+      synonyms: out.synonyms.hash,
+      embeddings: out.embeddings.hash,
+      rules: out.rules.hash,
+      billingRules: out.billingRules.hash,
+      slots: out.slots.hash,
+      exportFormats: out.exportFormats.hash,
+      punktwerte: out.punktwerte.hash,
+      diagnoses: out.diagnoses.hash
+    },
+    loadedAt: new Date().toISOString()
+  };
+}
+
+// Verzeichnisse statt Dateien beobachten: Editoren und der Builder ersetzen Dateien gern per Umbenennen
+function watchCatalogFiles(onChange, debounceMs = 500) {
+  const byDir = new Map();
+  for (const file of Object.values(CATALOG_FILES)) {
+    const dir = path.dirname(file);
+    if (!byDir.has(dir)) byDir.set(dir, new Set());
+    byDir.get(dir).add(path.basename(file));
+  }
+  let timer = null;
+  const watchers = [];
+  for (const [dir, names] of byDir) {
+    watchers.push(fs.watch(dir, (_event, name) => {
+      if (name && !names.has(String(name))) return;
+      clearTimeout(timer);
+      timer = setTimeout(onChange, debounceMs);
+    }));
+  }
+  return () => { clearTimeout(timer); watchers.forEach((w) => w.close()); };
+}
+
+module.exports = { CATALOG_FILES, loadCatalogData, watchCatalogFiles };
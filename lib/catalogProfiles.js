@@ -0,0 +1,58 @@
+// lib/catalogProfiles.js
+// Parser-Profile je Katalogfamilie (Referenz über "profile" in catalogs/manifest.json).
+// Spalten kommen aus dem Tabellenkopf der PDF; hier stehen nur die Eigenheiten der Familie.
+
+const BASE = {
+  rowTolerance: 2.5,   // pt: Textstücke mit fast gleicher y-Position bilden eine Zeile
+  cellGap: 6,          // pt: kleinere Lücken verbinden Textstücke zu einer Zelle
+  slack: 10,           // pt: Zellen dürfen so weit links vom Spaltenkopf beginnen
+  posMaxOffset: 30,    // pt: Positionsnummern stehen höchstens so weit rechts vom Kopf „Pos.Nr.“
+  maxGap: 20,          // pt: größerer Zeilenabstand beendet einen Eintrag (anchor "top")
+  blockGap: 15,        // pt: größerer Zeilenabstand trennt Einträge (anchor "gap")
+  headerSpan: 14,      // pt: Tabellenköpfe über mehrere Zeilen („Pos.“ / „Nr.“) liegen so eng beisammen
+  headerRows: 3,       // höchstens so viele Zeilen bilden einen Tabellenkopf
+  marginTop: 0.075,    // Seitenkopf/-fuß (Seitenzahl, „Stand: …“) als Anteil der Seitenhöhe
+  marginBottom: 0.075,
+  anchor: "top",       // "top": Nummer in der ersten Zeile; "middle": vertikal mittig im Block; "gap": Block über Zeilenabstand
+  posAreaText: "title", // Zeilen, die ohne Nummer in der Nummernspalte beginnen: "title" (umbrochener Titel) oder "remarks"
+  // Abschnittsüberschriften in der Nummernspalte („10. Blutabnahme“, „II.“, „GRUPPE 1:“)
+  heading: /^(\d{1,2}\.(\d{1,2}\.)*|[IVX]+\.|[A-Z]\.([IVX]+\.)?|GRUPPE\b|ABSCHNITT\b)/,
+  code: /^(?:[A-Z]{1,4})?\d{1,4}[a-z]{0,2}$/,
+  cleanCode: (s) => s.trim()
+};
+
+const PROFILES = {
+  // ÖGK-Honorarordnungen (Tirol, Steiermark, Kärnten): „12c“, „175c“, „M21“, „US11“
+  "oegk-ho": { ...BASE },
+  // Kärnten: Nummer mittig im Block; Text ab der Nummernspalte ist Fließtext („Anmerkung: …“) unter der Tabelle;
+  // Laborköpfe über fünf Zeilen („Untersuchungs- / gruppen und Einzel- / untersuchungen“ neben „Fach- / gruppe“)
+  "oegk-ho-kaernten": { ...BASE, anchor: "middle", posAreaText: "remarks", headerRows: 5, headerSpan: 36 },
+  // Tirol: mehrzeilige Titel, Nummer meist oben, teils mitten im Block; Einträge durch größeren Abstand getrennt;
+  // Unterabschnitte „a) Versorgung“ stehen in der Nummernspalte
+  "oegk-ho-tirol": { ...BASE, anchor: "gap", heading: /^(\d{1,2}\.(\d{1,2}\.)*|[IVX]+\.|[A-Z]\.([IVX]+\.)?|[a-z]\)|GRUPPE\b|ABSCHNITT\b)/ },
+  // BVAEB: „10a“ …, Sonderpositionen mit Buchstabenkürzel („PS“, „HMG“, „TA“)
+  "bvaeb-ho": { ...BASE, code: /^(?:\d{1,3}[a-z]{0,2}|[A-Z]{1,4}\d{0,2})$/ },
+  // SVS: wie BVAEB, dazu Kürzel wie „SUB“, „WSUB“, „W2SUB“
+  "svs-ho": { ...BASE, code: /^(?:\d{1,3}[a-z]{0,2}|[A-Z][A-Z0-9]{0,5})$/ },
+  // KUF-Rückerstattungstarife: „P 1.01*)“ → „P 1.01“
+  "kuf-rt": {
+    ...BASE,
+    code: /^[A-Z]\s?\d{1,2}\.\d{2,3}(?:\*\))?$/,
+    cleanCode: (s) => s.replace(/\*\)$/, "").replace(/^([A-Z])\s?/, "$1 ").trim()
+  },
+  // Innomed-Honorarkatalog-Exporte (HK *.pdf, Medrech): saubere Spalten Pos/Syn/Ber/Text/Wert/P-öS
+  "hk-export": {
+    ...BASE,
+    maxGap: 0,
+    code: /^[^\s].{0,11}$/,
+    heading: /^$/
+  }
+};
+
+function getProfile(name) {
+  const p = PROFILES[name];
+  if (!p) throw new Error(`Unbekanntes Parser-Profil: ${name}`);
+  return p;
+}
+
+module.exports = { getProfile, PROFILES };
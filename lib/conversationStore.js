@@ -0,0 +1,114 @@
+// lib/conversationStore.js
+// Gespräche für /api/abrechnen: ID, Verlauf (turns), offene Rückfragen und beantwortete Slots.
+// Austauschbarer Speicher, alle Methoden asynchron:
+//   memory   (Standard) – Map im Prozess, geht beim Neustart verloren
+//   postgres            – Tabelle „conversations“ (wird bei Bedarf angelegt), mehrere Instanzen möglich
+//
+// ENV:
+//   CONVERSATION_STORE      memory | postgres (ausdrücklich; DATABASE_URL allein wählt keinen Speicher)
+//   DATABASE_URL            Postgres-Verbindung (z. B. Supabase: postgresql://…)
+//   CONVERSATION_TTL_HOURS  Gespräche ohne Änderung werden danach verworfen (Standard 24)
+
+const crypto = require("crypto");
+
+const newConversationId = () => `g_${crypto.randomBytes(12).toString("base64url")}`;
+const CONVERSATION_ID = /^g_[A-Za-z0-9_-]{8,64}$/;
+
+function newConversation(owner) {
+  const now = new Date().toISOString();
+  return { id: newConversationId(), owner, createdAt: now, updatedAt: now, prompt: null, pending: [], slots: {}, turns: [] };
+}
+
+// --- Speicher im Prozess ---
+function memoryStore({ ttlMs }) {
+  const items = new Map();
+  const alive = (c) => c && Date.now() - Date.parse(c.updatedAt) < ttlMs;
+  const clone = (c) => JSON.parse(JSON.stringify(c));
+  const sweep = () => { for (const [id, c] of items) if (!alive(c)) items.delete(id); };
+  return {
+    name: "memory",
+    async get(id) {
+      const c = items.get(id);
+      if (!alive(c)) { items.delete(id); return null; }
+      return clone(c);
+    },
+    // zuletzt geänderte Unterhaltung des Benutzers (seit sinceMs), für Clients ohne conversationId
+    async latest(owner, sinceMs) {
+      let best = null;
+      for (const [id, c] of items) {
+        if (!alive(c)) { items.delete(id); continue; }
+        if (c.owner !== owner || Date.now() - Date.parse(c.updatedAt) >= sinceMs) continue;
+        if (!best || c.updatedAt > best.updatedAt) best = c;
+      }
+      return best ? clone(best) : null;
+    },
+    async save(c) {
+      items.set(c.id, clone({ ...c, updatedAt: new Date().toISOString() }));
+      // abgelaufene Gespräche nebenbei aufräumen (wie beim Postgres-Speicher)
+      sweep();
+    },
+    async remove(id) { return items.delete(id); }
+  };
+}
+
+// --- Postgres (pg wird nur bei Bedarf geladen) ---
+function postgresStore({ url, ttlMs, log }) {
+  const { Pool } = require("pg");
+  const pool = new Pool({ connectionString: url, max: 5 });
+  // Fehler ruhender Verbindungen (Neustart der Datenbank, Netz) würden sonst den Prozess beenden
+  pool.on("error", (e) => log("Postgres (Gespräche): Verbindungsfehler:", e?.message || e));
+  let ready = null;
+  const init = () => ready || (ready = pool.query(`
+    CREATE TABLE IF NOT EXISTS conversations (
+      id text PRIMARY KEY,
+      owner text NOT NULL,
+      data jsonb NOT NULL,
+      updated_at timestamptz NOT NULL DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS conversations_owner_updated ON conversations (owner, updated_at DESC);
+  `).catch((e) => { ready = null; throw e; }));
+  const ttl = `${Math.round(ttlMs / 1000)} seconds`;
+  return {
+    name: "postgres",
+    async get(id) {
+      await init();
+      const { rows } = await pool.query(
+        "SELECT data FROM conversations WHERE id = $1 AND updated_at > now() - $2::interval", [id, ttl]);
+      return rows[0]?.data || null;
+    },
+    async latest(owner, sinceMs) {
+      await init();
+      const { rows } = await pool.query(
+        "SELECT data FROM conversations WHERE owner = $1 AND updated_at > now() - $2::interval ORDER BY updated_at DESC LIMIT 1",
+        [owner, `${Math.round(Math.min(sinceMs, ttlMs) / 1000)} seconds`]);
+      return rows[0]?.data || null;
+    },
+    async save(c) {
+      await init();
+      const data = { ...c, updatedAt: new Date().toISOString() };
+      await pool.query(
+        `INSERT INTO conversations (id, owner, data, updated_at) VALUES ($1, $2, $3, now())
+         ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data, updated_at = now()`, [c.id, c.owner, data]);
+      // abgelaufene Gespräche nebenbei aufräumen
+      pool.query("DELETE FROM conversations WHERE updated_at < now() - $1::interval", [ttl]).catch(() => {});
+    },
+    async remove(id) {
+      await init();
+      const { rowCount } = await pool.query("DELETE FROM conversations WHERE id = $1", [id]);
+      return rowCount > 0;
+    }
+  };
+}
+
+function createConversationStore(env = process.env, { log = () => {} } = {}) {
+  const ttlMs = (Number(env.CONVERSATION_TTL_HOURS) || 24) * 3600 * 1000;
+  const kind = (env.CONVERSATION_STORE || "memory").toLowerCase();
+  if (kind === "memory") return memoryStore({ ttlMs });
+  if (kind === "postgres") {
+    if (!env.DATABASE_URL) throw new Error("CONVERSATION_STORE=postgres braucht DATABASE_URL");
+    return postgresStore({ url: env.DATABASE_URL, ttlMs, log });
+  }
+  throw new Error(`Unbekannter CONVERSATION_STORE: ${kind} (memory, postgres)`);
+}
+
+module.exports = { createConversationStore, newConversation, CONVERSATION_ID };
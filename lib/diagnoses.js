@@ -0,0 +1,97 @@
+// lib/diagnoses.js
+// Diagnosen (ICD-10-Codes aus dem Request bzw. im Text, Diagnosewörter wie „Hypertonie“) → typische Leistungsbündel
+// aus scripts/rules/diagnoses.json. Die Leistungstexte laufen wie Eingaben durch die Kandidatensuche des Servers
+// (findCandidates) und werden als Vorschlag zur Auswahl angeboten – nie ungefragt abgerechnet.
+//
+// Gruppe: { id, label, icd?, keywords?, services, note? }
+//   icd       Codes bzw. Bereiche: „I10“ (auch I10.00 …), „N39.0“ (nur dieser Subcode), „I10-I15“ (Kategorien)
+//   keywords  Diagnosewörter im Text, je ein Wort (Wortanfang, Groß-/Kleinschreibung und Umlaute egal)
+//   services  typische Leistungen als Eingabetext, z. B. „EKG in Ruhe“, „Blutabnahme venös“
+
+const isStr = (x) => typeof x === "string";
+const ICD = /^[A-Z]\d{2}(\.\d{1,3})?$/;
+const ICD_RANGE = /^([A-Z]\d{2})-([A-Z]\d{2})$/;
+const ICD_IN_TEXT = /\b([A-Z]\d{2}(?:\.\d{1,3})?)(?![\w.])/g;
+
+const plain = (s) => String(s || "").toLowerCase()
+  .replace(/ä/g, "ae").replace(/ö/g, "oe").replace(/ü/g, "ue").replace(/ß/g, "ss")
+  .replace(/[^a-z0-9]+/g, " ").trim();
+
+// --- Schema (für lib/catalogData.js) ---
+function checkDiagnoses(j) {
+  if (!j || typeof j !== "object" || Array.isArray(j) || !Array.isArray(j.groups)) return ["diagnoses.json: Objekt { groups: [...] } erwartet"];
+  const problems = [];
+  const ids = new Set();
+  j.groups.forEach((g, i) => {
+    const where = `diagnoses.json: groups[${i}]${g?.id ? ` (${g.id})` : ""}`;
+    if (!g || typeof g !== "object") { problems.push(`${where}: Objekt erwartet`); return; }
+    if (!isStr(g.id) || !g.id) problems.push(`${where}: id fehlt`);
+    else if (ids.has(g.id)) problems.push(`${where}: id doppelt`);
+    ids.add(g.id);
+    if (!isStr(g.label) || !g.label) problems.push(`${where}: label fehlt`);
+    for (const k of ["icd", "keywords", "services"]) {
+      if (g[k] !== undefined && !(Array.isArray(g[k]) && g[k].every((x) => isStr(x) && x.trim()))) problems.push(`${where}: ${k} muss eine Textliste sein`);
+    }
+    if ((g.keywords || []).some((k) => isStr(k) && /\s/.test(k.trim()))) problems.push(`${where}: keywords sind einzelne Wörter`);
+    if (!(g.icd || []).length && !(g.keywords || []).length) problems.push(`${where}: icd oder keywords angeben`);
+    if (!(g.services || []).length) problems.push(`${where}: services fehlt`);
+    const bad = (g.icd || []).filter((c) => isStr(c) && !ICD.test(c) && !(ICD_RANGE.test(c) && c.split("-")[0] <= c.split("-")[1]));
+    if (bad.length) problems.push(`${where}: ungültige ICD-10-Angaben ${bad.join(", ")} (z. B. „I10“, „N39.0“, „I10-I15“)`);
+    if (g.note !== undefined && !isStr(g.note)) problems.push(`${where}: note muss Text sein`);
+  });
+  return problems;
+}
+
+// ICD-10-Codes aus dem Request („I10, E11.9“ oder ["I10", "E11.9"]) → { codes } | { error }
+// Zusatzkennzeichen (†, *, !, G/V/Z/A für die Diagnosesicherheit) werden ignoriert
+function parseIcdCodes(raw) {
+  if (raw === undefined || raw === null || raw === "") return { codes: [] };
+  const list = Array.isArray(raw) ? raw.map(String) : isStr(raw) ? raw.split(/[,;\s]+/) : null;
+  if (!list) return { error: "Ungültige ICD-10-Codes (icd): Text oder Liste erwartet" };
+  const codes = [];
+  const bad = [];
+  for (const token of list.map((s) => s.trim()).filter(Boolean)) {
+    if (/^[GVZA]$/i.test(token)) continue;
+    const code = token.toUpperCase().replace(/[†*!+]+$/, "").replace(/(\.\d{1,3})?[GVZA]$/, "$1");
+    if (ICD.test(code)) { if (!codes.includes(code)) codes.push(code); } else bad.push(token);
+  }
+  return bad.length ? { error: `Ungültige ICD-10-Codes (icd): ${bad.join(", ")} – Format z. B. I10 oder E11.9` } : { codes };
+}
+
+// passt der Code zu einer icd-Angabe der Gruppe?
+function icdMatches(code, spec) {
+  const range = ICD_RANGE.exec(spec);
+  const category = code.slice(0, 3);
+  if (range) return category >= range[1] && category <= range[2];
+  return spec.length === 3 ? category === spec : code === spec || code.startsWith(`${spec}`);
+}
+
+// Diagnosen → [{ id, label, services, matchedBy: [Codes/Wörter], note }]
+// codes: aus dem Request; zusätzlich zählen Codes im Text, soweit eine Gruppe sie kennt
+function bundlesFor({ codes = [], text = "" }, config) {
+  const inText = Array.from(String(text).matchAll(ICD_IN_TEXT), (m) => m[1]);
+  const allCodes = Array.from(new Set([...codes, ...inText]));
+  const words = ` ${plain(text)}`;
+  const out = [];
+  for (const g of config?.groups || []) {
+    const byCode = allCodes.filter((c) => (g.icd || []).some((spec) => icdMatches(c, spec)));
+    const byWord = (g.keywords || []).filter((k) => words.includes(` ${plain(k)}`));
+    if (!byCode.length && !byWord.length) continue;
+    out.push({ id: g.id, label: g.label, services: g.services, matchedBy: [...byCode, ...byWord], note: g.note || null });
+  }
+  return out;
+}
+
+// Text ohne Diagnosewörter und ICD-Codes der gefundenen Gruppen (für die Suche nach Leistungen);
+// Wortanfang genügt (keyword „hypertoni“ trifft „Hypertonie“ und „Hypertoniker“), der übrige Text bleibt unverändert
+function withoutDiagnoses(text, bundles, config) {
+  if (!bundles.length) return String(text);
+  const codes = new Set(bundles.flatMap((b) => b.matchedBy));
+  const keys = (config?.groups || []).filter((g) => bundles.some((b) => b.id === g.id)).flatMap((g) => g.keywords || []).map(plain);
+  return String(text)
+    .replace(/[A-Za-zÄÖÜäöüß][\wÄÖÜäöüß.-]*/g, (w) => (codes.has(w.replace(/\.$/, "")) || keys.some((k) => plain(w).startsWith(k)) ? "" : w))
+    .replace(/\s+([,;])/g, "$1").replace(/(^|[,;])\s*[,;]/g, "$1").replace(/^[\s,;]+|[\s,;]+$/g, "")
+    .replace(/\s+/g, " ");
+}
+
+module.exports = { checkDiagnoses, parseIcdCodes, bundlesFor, withoutDiagnoses };
@@ -0,0 +1,203 @@
+// lib/embeddings.js
+// Vektorindex der Katalogpositionen (catalogs/embeddings.json) für die semantische Kandidatensuche:
+// „Zucker gemessen“ → Blutzuckerbestimmung, „Ohr gespült“ → Ohrspülung, auch ohne gemeinsames Wort im Titel.
+// Gebaut zusammen mit index.json (scripts/buildCatalogIndex.js --embeddings bzw. scripts/buildEmbeddings.js),
+// die Vektoren stehen in derselben Reihenfolge wie index.json → items (Float32, Base64).
+//
+// Anbieter (Index und Suchanfrage müssen dasselbe Modell verwenden – Anbieter und Modell stehen in der Datei):
+//   local   OpenAI-kompatibler Embedding-Server auf dem eigenen Rechner (Standard; z. B. Ollama mit bge-m3)
+//   openai  OpenAI-Embeddings (text-embedding-3-small)
+//   ngram   Buchstaben-Trigramme, gehasht – kein semantisches Modell, läuft ohne Server (Tests, Notbehelf)
+//
+// ENV:
+//   EMBEDDING_PROVIDER        local | openai | ngram (nur beim Bauen; der Server nimmt den Anbieter aus der Datei)
+//   EMBEDDING_BASE_URL        local: Standard http://localhost:11434/v1, openai: https://api.openai.com/v1
+//   EMBEDDING_MODEL           local: Standard bge-m3, openai: text-embedding-3-small
+//   EMBEDDING_API_KEY         Schlüssel (Fallback: OPENAI_API_KEY; bei local optional)
+//   EMBEDDING_TIMEOUT_MS      Timeout je Anfrage (Standard 30000)
+//   EMBEDDING_QUERY_PREFIX    Präfix für Suchanfragen bzw. Katalogtexte (z. B. e5-Modelle: „query: “ / „passage: “),
+//   EMBEDDING_PASSAGE_PREFIX  wird beim Bauen in die Datei übernommen
+
+const crypto = require("crypto");
+
+const FORMAT_VERSION = 1;
+const NGRAM_DIMS = 512;
+const PROVIDERS = ["local", "openai", "ngram"];
+const isStr = (x) => typeof x === "string";
+
+// --- Schema (für lib/catalogData.js) ---
+function checkEmbeddings(j) {
+  if (j === null) return [];
+  if (!j || typeof j !== "object" || Array.isArray(j)) return ["embeddings.json: Objekt erwartet"];
+  const problems = [];
+  if (j.format !== FORMAT_VERSION) problems.push(`embeddings.json: format ${FORMAT_VERSION} erwartet`);
+  for (const k of ["provider", "model", "indexVersion", "vectors"]) if (!isStr(j[k]) || !j[k]) problems.push(`embeddings.json: ${k} fehlt`);
+  if (isStr(j.provider) && !PROVIDERS.includes(j.provider)) problems.push(`embeddings.json: provider muss eines von ${PROVIDERS.join(", ")} sein`);
+  if (!Number.isInteger(j.dims) || j.dims < 1) problems.push("embeddings.json: dims muss eine ganze Zahl ≥ 1 sein");
+  if (!Array.isArray(j.keys)) problems.push("embeddings.json: keys muss ein Array sein");
+  if (!problems.length && Buffer.byteLength(j.vectors, "base64") !== j.keys.length * j.dims * 4) {
+    problems.push("embeddings.json: Anzahl der Vektoren passt nicht zu keys × dims");
+  }
+  return problems;
+}
+
+// --- Text je Katalogposition ---
+// Titel, Kürzel und Hinweis – dieselben Felder, die auch die Textsuche sieht
+function itemText(it) {
+  return [it.title, it.syn, it.notes].filter(Boolean).join(". ");
+}
+const textKey = (text) => crypto.createHash("sha1").update(text).digest("hex").slice(0, 12);
+
+// --- Vektoren ---
+function normalizeVector(v) {
+  let n = 0;
+  for (let i = 0; i < v.length; i++) n += v[i] * v[i];
+  n = Math.sqrt(n) || 1;
+  const out = new Float32Array(v.length);
+  for (let i = 0; i < v.length; i++) out[i] = v[i] / n;
+  return out;
+}
+function encodeVectors(vectors, dims) {
+  const all = new Float32Array(vectors.length * dims);
+  vectors.forEach((v, i) => all.set(v, i * dims));
+  return Buffer.from(all.buffer).toString("base64");
+}
+function decodeVectors(base64) {
+  const buf = Buffer.from(base64, "base64");
+  return new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+}
+
+// --- Anbieter ---
+// ngram: Wörter wie im Server normalisiert, Trigramme von „ wort “ per FNV-1a auf NGRAM_DIMS Felder verteilt
+function ngramText(s) {
+  return String(s).toLowerCase()
+    .replace(/ä/g, "ae").replace(/ö/g, "oe").replace(/ü/g, "ue").replace(/ß/g, "ss")
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ").trim();
+}
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193) >>> 0; }
+  return h;
+}
+function ngramVector(text, dims = NGRAM_DIMS) {
+  const v = new Float32Array(dims);
+  for (const w of ngramText(text).split(" ").filter(Boolean)) {
+    const padded = ` ${w} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      const h = fnv1a(padded.slice(i, i + 3));
+      v[h % dims] += h & 0x80000000 ? -1 : 1;
+    }
+  }
+  return normalizeVector(v);
+}
+
+async function postEmbeddings({ baseUrl, apiKey, model, timeoutMs }, input) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  let res;
+  try {
+    res = await fetch(`${baseUrl.replace(/\/$/, "")}/embeddings`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+      body: JSON.stringify({ model, input }),
+      signal: ctrl.signal
+    });
+  } catch (e) {
+    throw new Error(e?.name === "AbortError" ? `Embedding-Server: Zeitüberschreitung nach ${timeoutMs} ms`
+      : `Embedding-Server nicht erreichbar (${e?.cause?.code || e?.message || e})`);
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!res.ok) throw new Error(`Embedding-Server: HTTP ${res.status} ${(await res.text().catch(() => "")).slice(0, 200)}`);
+  const data = await res.json();
+  const rows = (data?.data || []).slice().sort((a, b) => a.index - b.index).map((d) => d.embedding);
+  if (rows.length !== input.length || !rows.every((r) => Array.isArray(r) && r.length)) {
+    throw new Error("Embedding-Server: unerwartete Antwort (data[].embedding fehlt)");
+  }
+  return rows.map((r) => normalizeVector(r));
+}
+
+// → { name, model, queryPrefix, passagePrefix, embed(texts) → Promise<Float32Array[]> }
+// meta: Kopf einer vorhandenen embeddings.json – Anbieter, Modell und Präfixe kommen dann von dort
+function createEmbedder(env = process.env, meta = null) {
+  const name = String(meta?.provider || env.EMBEDDING_PROVIDER || "local").toLowerCase();
+  const queryPrefix = meta ? meta.queryPrefix || "" : env.EMBEDDING_QUERY_PREFIX || "";
+  const passagePrefix = meta ? meta.passagePrefix || "" : env.EMBEDDING_PASSAGE_PREFIX || "";
+  if (name === "ngram") {
+    return { name, model: `ngram-${NGRAM_DIMS}`, queryPrefix, passagePrefix, embed: async (texts) => texts.map((t) => ngramVector(t)) };
+  }
+  if (!PROVIDERS.includes(name)) throw new Error(`Unbekannter EMBEDDING_PROVIDER: ${name} (${PROVIDERS.join(", ")})`);
+  const http = {
+    baseUrl: env.EMBEDDING_BASE_URL || (name === "openai" ? "https://api.openai.com/v1" : "http://localhost:11434/v1"),
+    apiKey: env.EMBEDDING_API_KEY || (name === "openai" ? env.OPENAI_API_KEY || "" : ""),
+    model: meta?.model || env.EMBEDDING_MODEL || (name === "openai" ? "text-embedding-3-small" : "bge-m3"),
+    timeoutMs: Number(env.EMBEDDING_TIMEOUT_MS) || 30000
+  };
+  return { name, model: http.model, queryPrefix, passagePrefix, embed: (texts) => postEmbeddings(http, texts) };
+}
+
+// --- Bauen ---
+// Vektoren für alle Einträge von index.json; unveränderte Texte werden aus previous (gleiches Modell) übernommen
+async function embedCatalog(index, embedder, { previous = null, batchSize = 64, onProgress = () => {} } = {}) {
+  const texts = index.items.map((it) => `${embedder.passagePrefix}${itemText(it)}`);
+  const keys = texts.map(textKey);
+  const reuse = new Map();
+  if (previous && previous.provider === embedder.name && previous.model === embedder.model && !checkEmbeddings(previous).length) {
+    const old = decodeVectors(previous.vectors);
+    previous.keys.forEach((k, i) => reuse.set(k, old.subarray(i * previous.dims, (i + 1) * previous.dims)));
+  }
+  const vectors = keys.map((k) => reuse.get(k) || null);
+  const todo = vectors.map((v, i) => (v ? -1 : i)).filter((i) => i >= 0);
+  for (let start = 0; start < todo.length; start += batchSize) {
+    const batch = todo.slice(start, start + batchSize);
+    const out = await embedder.embed(batch.map((i) => texts[i]));
+    batch.forEach((i, k) => { vectors[i] = out[k]; });
+    onProgress(Math.min(start + batchSize, todo.length), todo.length);
+  }
+  const dims = vectors.length ? vectors[0].length : 0;
+  if (vectors.some((v) => v.length !== dims)) throw new Error("Embedding-Modell liefert unterschiedliche Dimensionen");
+  return {
+    format: FORMAT_VERSION,
+    provider: embedder.name,
+    model: embedder.model,
+    dims,
+    queryPrefix: embedder.queryPrefix,
+    passagePrefix: embedder.passagePrefix,
+    indexVersion: String(index.version || ""),
+    createdAt: new Date().toISOString(),
+    reused: keys.length - todo.length,
+    keys,
+    vectors: encodeVectors(vectors, dims)
+  };
+}
+
+// --- Suche ---
+// Vektorindex zu einem geladenen Katalog → { meta, rowOf, vectors } | { error } (veraltet oder unvollständig)
+function createVectorIndex(index, embeddings) {
+  if (!embeddings) return { error: "keine embeddings.json" };
+  if (String(embeddings.indexVersion) !== String(index.version || "")) {
+    return { error: `embeddings.json gehört zu Katalog ${embeddings.indexVersion}, geladen ist ${index.version} – bitte neu bauen` };
+  }
+  if (embeddings.keys.length !== index.items.length) return { error: "embeddings.json: Anzahl passt nicht zu index.json" };
+  const { vectors: _v, keys: _k, ...meta } = embeddings;
+  const rowOf = new Map(index.items.map((it, i) => [it, i]));
+  return { meta, rowOf, vectors: decodeVectors(embeddings.vectors) };
+}
+
+// die k ähnlichsten unter items (nur Einträge mit Vektor) → [{ item, similarity }]
+function nearest(vi, query, items, k = 12) {
+  const { dims } = vi.meta;
+  const hits = [];
+  for (const it of items) {
+    const row = vi.rowOf.get(it);
+    if (row === undefined) continue;
+    let s = 0;
+    const off = row * dims;
+    for (let d = 0; d < dims; d++) s += vi.vectors[off + d] * query[d];
+    hits.push({ item: it, similarity: s });
+  }
+  return hits.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+}
+
+module.exports = { checkEmbeddings, itemText, createEmbedder, embedCatalog, createVectorIndex, nearest };
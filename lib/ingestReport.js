@@ -0,0 +1,96 @@
+// lib/ingestReport.js
+// Ingestion-Report für scripts/buildCatalogIndex.js: Abdeckung je Quelle und Seite, Blöcke mit Code aber
+// ohne Betrag, auffällige Punktwerte, Stichproben laut Manifest, Dubletten – und der Vergleich mit dem
+// vorherigen Index (Schwellwert-Modus).
+
+const SNIPPET = 120;
+const snippet = (s) => (String(s || "").length > SNIPPET ? String(s).slice(0, SNIPPET - 1) + "…" : String(s || ""));
+
+// Werte außerhalb dieser Spannen sind fast immer Lesefehler (Seitenzahl, verklebte Spalten)
+const LIMITS = { P: 2000, "€": 5000 };
+
+function suspiciousReason(e) {
+  const a = e.amount;
+  if (a.value === 0) return "Betrag 0";
+  if (a.value > LIMITS[a.unit]) return `ungewöhnlich hoch (> ${LIMITS[a.unit]} ${a.unit})`;
+  if (a.unit === "P" && !a.klasse && /^(19|20)\d\d$/.test(String(a.value))) return "sieht aus wie eine Jahreszahl";
+  if (/(?:^|\s)(?:€\s?)?\d{1,4},\d{2}(?:\s|$)/.test(e.title)) return "weiterer Betrag im Leistungstext";
+  return null;
+}
+
+// Ergebnis von extractTable → Abdeckung einer Quelle
+function sourceCoverage({ entries, incomplete, numpages }) {
+  const pages = {};
+  for (let n = 1; n <= numpages; n++) pages[n] = 0;
+  for (const e of entries) pages[e.page] = (pages[e.page] || 0) + 1;
+
+  const suspicious = [];
+  for (const e of entries) {
+    const reason = suspiciousReason(e);
+    if (reason) suspicious.push({ page: e.page, pos: e.pos, points: e.pointsText, title: snippet(e.title), reason });
+  }
+
+  return {
+    numpages,
+    pages,
+    emptyPages: Object.keys(pages).filter((n) => !pages[n]).map(Number),
+    unmatched: incomplete.map((e) => ({ page: e.page, pos: e.pos, text: snippet([e.title, e.remarks].filter(Boolean).join(" | ")) })),
+    suspicious
+  };
+}
+
+// Stichproben aus dem Manifest („samples“: [{ pos, page?, title, points? }]) gegen die gelesenen Einträge einer Quelle:
+// hält eine Parser-Änderung fest, die Titel aus mehreren Spalten vermischt oder Beträge verliert
+function sampleChecks(items, samples = []) {
+  const failed = [];
+  for (const s of samples) {
+    const hit = items.find((e) => String(e.pos) === String(s.pos) && (!s.page || e.page === s.page));
+    const got = hit ? { title: hit.title, points: hit.points } : null;
+    const ok = hit && hit.title === s.title && (!s.points || hit.points === s.points);
+    if (!ok) failed.push({ pos: s.pos, page: s.page || null, expected: { title: s.title, points: s.points || null }, got });
+  }
+  return { checked: samples.length, failed };
+}
+
+// payer+version+pos: der letzte Eintrag gewinnt (i.d.R. mit Anmerkungen); Kollisionen werden protokolliert
+function dedupe(items) {
+  const map = new Map();
+  const lost = new Map();
+  for (const e of items) {
+    const key = `${e.payer}::${e.version}::${e.pos}`;
+    if (map.has(key)) {
+      if (!lost.has(key)) lost.set(key, []);
+      lost.get(key).push(map.get(key));
+    }
+    map.set(key, e);
+  }
+  const brief = (e) => ({ source: e.source, title: snippet(e.title), points: e.points });
+  const collisions = Array.from(lost, ([key, dropped]) => ({
+    key,
+    winner: brief(map.get(key)),
+    dropped: dropped.map(brief)
+  }));
+  return { items: Array.from(map.values()), collisions };
+}
+
+// Abdeckung gegenüber dem vorherigen Index: Quellen, die Einträge verlieren oder ganz ausfallen
+function compareCoverage(previous, sources, total, maxDropPct) {
+  const regressions = [];
+  if (!previous) return regressions;
+  const dropped = (before, now) => before > 0 && ((before - now) / before) * 100 > maxDropPct;
+
+  const current = new Map(sources.map((s) => [s.file.normalize("NFC"), s]));
+  for (const prev of previous.sources || []) {
+    const before = prev.items || 0;
+    const cur = current.get(String(prev.file).normalize("NFC"));
+    const now = cur && cur.status === "ok" ? cur.items : 0;
+    if (dropped(before, now)) {
+      regressions.push(`${prev.file}: ${before} → ${now} Einträge${cur ? (cur.status === "ok" ? "" : ` (${cur.status})`) : " (Quelle fehlt)"}`);
+    }
+  }
+  const totalBefore = (previous.items || []).length;
+  if (dropped(totalBefore, total)) regressions.push(`Gesamt: ${totalBefore} → ${total} Positionen`);
+  return regressions;
+}
+
+module.exports = { sourceCoverage, sampleChecks, dedupe, compareCoverage };
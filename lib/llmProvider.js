@@ -0,0 +1,176 @@
+// lib/llmProvider.js
+// Austauschbare LLM-Anbindung für /api/abrechnen: OpenAI, Azure OpenAI, lokaler OpenAI-kompatibler Server
+// (z. B. vLLM, llama.cpp, Ollama) und ein Mock, der aufgezeichnete Antworten abspielt.
+// Alle Anbieter liefern { content, usage } und werfen LlmError; Wiederholungen bei 429/5xx mit Backoff.
+//
+// ENV:
+//   LLM_PROVIDER      openai (Standard) | azure | local | mock
+//   LLM_BASE_URL      API-Basis (openai: https://api.openai.com/v1, azure: https://<name>.openai.azure.com,
+//                     local: z. B. http://localhost:8000/v1)
+//   LLM_MODEL         Modell bzw. Azure-Deployment (Fallback: OPENAI_MODEL)
+//   LLM_API_KEY       Schlüssel (Fallback: OPENAI_API_KEY; bei local optional)
+//   LLM_TIMEOUT_MS    Timeout je Versuch (Standard 30000)
+//   LLM_MAX_RETRIES   Wiederholungen bei 429/5xx/Timeout (Standard 2)
+//   AZURE_OPENAI_API_VERSION  (Standard 2024-08-01-preview)
+//   LLM_MOCK_FILE     Aufzeichnungen für den Mock: [{ "user": "<Eingabe>", "system": "<Textausschnitt>", "content": … }]
+//   LLM_RECORD_FILE   echte Antworten zusätzlich dorthin aufzeichnen (für den Mock)
+
+const fs = require("fs");
+
+class LlmError extends Error {
+  constructor(message, { status = null, retryable = false, body = "" } = {}) {
+    super(message);
+    this.name = "LlmError";
+    this.status = status;
+    this.retryable = retryable;
+    this.body = body;
+  }
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const lastUserMessage = (messages) => [...messages].reverse().find((m) => m.role === "user")?.content || "";
+
+// --- HTTP (OpenAI-kompatibel) ---
+async function postJson(url, headers, body, timeoutMs) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  // Antwortkörper innerhalb des Timeouts lesen – ein abgerissener oder hängender Body zählt wie ein Netzfehler
+  let res, text;
+  try {
+    res = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body: JSON.stringify(body), signal: ctrl.signal });
+    text = await res.text();
+  } catch (e) {
+    const timedOut = e?.name === "AbortError";
+    const cause = e?.cause?.code || e?.message || e;
+    throw new LlmError(timedOut ? `Zeitüberschreitung nach ${timeoutMs} ms` : res ? `Antwort abgebrochen (${cause})` : `nicht erreichbar (${cause})`,
+      { status: res?.status ?? null, retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!res.ok) {
+    const quota = res.status === 429 && /insufficient_quota/i.test(text);
+    const err = new LlmError(quota ? "Kontingent erschöpft" : `HTTP ${res.status}`, {
+      status: res.status,
+      retryable: !quota && (res.status === 429 || res.status >= 500),
+      body: text
+    });
+    err.retryAfterMs = Number(res.headers.get("retry-after")) * 1000 || null;
+    throw err;
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new LlmError("Antwort ist kein gültiges JSON", { status: res.status, retryable: true, body: text.slice(0, 500) });
+  }
+  return { content: data?.choices?.[0]?.message?.content?.trim() || "", usage: data?.usage || null };
+}
+
+function chatBody(model, { messages, responseFormat, temperature = 0.2, maxTokens = 1000 }) {
+  return { model, temperature, max_completion_tokens: maxTokens, messages, ...(responseFormat ? { response_format: responseFormat } : {}) };
+}
+
+// --- Anbieter ---
+function openAiCompatible({ name, baseUrl, apiKey, model, timeoutMs }) {
+  return {
+    name,
+    model,
+    baseUrl,
+    configured: Boolean(model && baseUrl && (apiKey || name === "local")),
+    complete: (req) => postJson(`${baseUrl.replace(/\/$/, "")}/chat/completions`,
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, chatBody(model, req), timeoutMs)
+  };
+}
+
+// Azure: Deployment statt Modell in der URL, Schlüssel im Header „api-key“
+function azure({ baseUrl, apiKey, model, timeoutMs, apiVersion }) {
+  return {
+    name: "azure",
+    model,
+    baseUrl,
+    configured: Boolean(baseUrl && apiKey && model),
+    complete: (req) => postJson(
+      `${String(baseUrl).replace(/\/$/, "")}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${apiVersion}`,
+      { "api-key": apiKey }, chatBody(undefined, req), timeoutMs)
+  };
+}
+
+// Mock: spielt Aufzeichnungen ab; ein Eintrag mit genau dieser Eingabe („user“) gewinnt vor einem, dessen „user“
+// nur darin vorkommt. „system“ grenzt zusätzlich über die Systemnachricht ein (z. B. „| BVAEB |“ bei gleicher
+// Eingabe für mehrere Träger). Für Tests und Auswertungen ohne Netz.
+function mock({ file }) {
+  const load = () => {
+    if (!file || !fs.existsSync(file)) return [];
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  };
+  return {
+    name: "mock",
+    model: "mock",
+    baseUrl: file || null,
+    configured: Boolean(file),
+    complete: async ({ messages }) => {
+      const user = lastUserMessage(messages).trim().toLowerCase();
+      const system = String(messages.find((m) => m.role === "system")?.content || "").toLowerCase();
+      const records = load().filter((r) => !r.system || system.includes(String(r.system).toLowerCase()));
+      const said = (r) => String(r.user || "").trim().toLowerCase();
+      const hit = records.find((r) => said(r) === user) || records.find((r) => !r.user || user.includes(said(r)));
+      if (!hit) throw new LlmError("keine Aufzeichnung für diese Eingabe", { status: 404 });
+      if (hit.status) throw new LlmError(`HTTP ${hit.status}`, { status: hit.status, retryable: hit.status === 429 || hit.status >= 500 });
+      const content = typeof hit.content === "string" ? hit.content : JSON.stringify(hit.content);
+      return { content, usage: null };
+    }
+  };
+}
+
+// echte Antworten für den Mock mitschreiben
+function recording(provider, file) {
+  return {
+    ...provider,
+    complete: async (req) => {
+      const out = await provider.complete(req);
+      const list = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : [];
+      list.push({ user: lastUserMessage(req.messages), content: out.content });
+      fs.writeFileSync(file, JSON.stringify(list, null, 2), "utf8");
+      return out;
+    }
+  };
+}
+
+// --- Wiederholungen mit exponentiellem Backoff (+ Jitter, Retry-After wird respektiert) ---
+function withRetries(provider, { retries, baseDelayMs = 500, maxDelayMs = 8000 }) {
+  return {
+    ...provider,
+    complete: async (req) => {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await provider.complete(req);
+        } catch (e) {
+          if (!(e instanceof LlmError) || !e.retryable || attempt >= retries) throw e;
+          const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+          await sleep(Math.min(maxDelayMs, e.retryAfterMs || backoff));
+        }
+      }
+    }
+  };
+}
+
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || "openai").toLowerCase();
+  const common = {
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || (name === "azure" ? env.AZURE_OPENAI_API_KEY : "") || "",
+    model: env.LLM_MODEL || env.OPENAI_MODEL || "gpt-4o-mini",
+    timeoutMs: Number(env.LLM_TIMEOUT_MS) || 30000
+  };
+  let provider;
+  if (name === "openai") provider = openAiCompatible({ ...common, name, baseUrl: env.LLM_BASE_URL || "https://api.openai.com/v1" });
+  else if (name === "local") provider = openAiCompatible({ ...common, name, baseUrl: env.LLM_BASE_URL || "" });
+  else if (name === "azure") provider = azure({ ...common, baseUrl: env.LLM_BASE_URL || env.AZURE_OPENAI_ENDPOINT || "", apiVersion: env.AZURE_OPENAI_API_VERSION || "2024-08-01-preview" });
+  else if (name === "mock") provider = mock({ file: env.LLM_MOCK_FILE });
+  else throw new Error(`Unbekannter LLM_PROVIDER: ${name} (openai, azure, local, mock)`);
+
+  if (env.LLM_RECORD_FILE && name !== "mock") provider = recording(provider, env.LLM_RECORD_FILE);
+  const retries = env.LLM_MAX_RETRIES !== undefined ? Number(env.LLM_MAX_RETRIES) : 2;
+  return withRetries(provider, { retries: Number.isFinite(retries) && retries >= 0 ? retries : 2 });
+}
+
+module.exports = { createProvider, LlmError };
@@ -0,0 +1,91 @@
+// lib/modelAnswer.js
+// Antwortformat des Modells (JSON-Schema) und strikte Prüfung gegen die Kandidaten.
+// Das Modell wählt nur Kandidaten-IDs; Positionsnummer, Text und Punkte kommen immer aus dem Katalog.
+
+const { positionFromItem, ask, suggestion, question } = require("./billingResult");
+
+// Kandidaten bekommen stabile IDs in Listenreihenfolge: c1, c2, …
+const candidateId = (i) => `c${i + 1}`;
+function withIds(candidates) {
+  return candidates.map((c, i) => ({ id: candidateId(i), item: c }));
+}
+
+// response_format für chat.completions (strict: alle Felder Pflicht, keine zusätzlichen)
+const ANSWER_SCHEMA = {
+  type: "json_schema",
+  json_schema: {
+    name: "abrechnungsvorschlag",
+    strict: true,
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["status", "positions", "questions"],
+      properties: {
+        status: { type: "string", enum: ["suggestion", "question"] },
+        positions: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["id", "quantity", "reason"],
+            properties: {
+              id: { type: "string", description: "Kandidaten-ID aus der Liste, z. B. c3" },
+              quantity: { type: "integer", description: "Anzahl (mindestens 1)" },
+              reason: { type: "string", description: "kurze Begründung" }
+            }
+          }
+        },
+        questions: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["text", "options"],
+            properties: {
+              text: { type: "string" },
+              options: { type: "array", items: { type: "string" } }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Modellantwort (JSON-Text) → Ergebnis; unbekannte IDs werden verworfen und gemeldet
+function parseModelAnswer(content, candidates, base) {
+  let answer;
+  try { answer = JSON.parse(content); } catch { return { error: "Antwort des Modells ist kein gültiges JSON" }; }
+  if (!answer || !Array.isArray(answer.positions) || !Array.isArray(answer.questions)) {
+    return { error: "Antwort des Modells entspricht nicht dem Schema" };
+  }
+
+  const byId = new Map(withIds(candidates).map((c) => [c.id, c.item]));
+  const rejected = [];
+  const seen = new Set();
+  const positions = [];
+  for (const p of answer.positions) {
+    const id = String(p?.id || "").trim().toLowerCase();
+    const item = byId.get(id);
+    if (!item) { rejected.push(String(p?.id)); continue; }
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const quantity = Number.isInteger(p.quantity) && p.quantity > 0 ? p.quantity : 1;
+    positions.push(positionFromItem(item, { quantity, reason: String(p.reason || "").trim() }));
+  }
+
+  const questions = answer.questions
+    .filter((q) => q && String(q.text || "").trim())
+    .map((q, i) => ask(`model_${i + 1}`, String(q.text).trim(), (q.options || []).map(String).filter(Boolean)));
+
+  if (answer.status === "question" || questions.length || !positions.length) {
+    if (!questions.length) {
+      questions.push(ask("position", "Welche Position ist gemeint?",
+        candidates.map((c) => ({ value: `Pos. ${c.pos}`, label: `${c.pos} – ${c.title}` }))));
+    }
+    return { result: question({ ...base, questions, positions }), rejected };
+  }
+  return { result: suggestion({ ...base, positions }), rejected };
+}
+
+module.exports = { ANSWER_SCHEMA, withIds, parseModelAnswer };
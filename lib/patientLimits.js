@@ -0,0 +1,146 @@
+// lib/patientLimits.js
+// Alters- und Geschlechtsgrenzen von Katalogpositionen für die Kandidatensuche: mit Alter/Geschlecht im Request
+// fallen Positionen weg, deren age-Regel aus billing_rules.json verletzt ist (BVAEB 10b bei 40 Jahren); passende
+// altersspezifische Varianten rücken vor die allgemeine (BVAEB 10b vor 10a bei einem Kind).
+// Grenzen aus dem Leistungstext sind nur ein Hinweis: die Position rückt nach hinten, bleibt aber wählbar
+// (Empfehlungen, überholte Fassungen und Programmvorgaben lassen sich aus dem Text nicht sicher trennen).
+// Alter in vollendeten Jahren.
+
+const { foldUmlauts } = require("./textNorm");
+
+const NUMBER_WORDS = {
+  ein: 1, eins: 1, einem: 1, zwei: 2, drei: 3, vier: 4, fuenf: 5, sechs: 6, sieben: 7, acht: 8, neun: 9, zehn: 10,
+  elf: 11, zwoelf: 12, dreizehn: 13, vierzehn: 14, fuenfzehn: 15, sechzehn: 16, siebzehn: 17, achtzehn: 18
+};
+const N = "(\\d{1,3}|[a-z]+)";
+const lower = (s) => String(s || "").trim().toLowerCase();
+const posKey = (p) => String(p).trim().toLowerCase();
+
+// wie norm() aus lib/textNorm.js, aber mit Satzzeichen (Datum, Klammern) und ausgeschriebenen Lebensalter-Kürzeln
+function plain(s) {
+  return foldUmlauts(s || "")
+    .replace(/\blj\b\.?/g, "lebensjahr").replace(/\blm\b\.?/g, "lebensmonat").replace(/\blw\b\.?/g, "lebenswoche")
+    .replace(/(\d)\s*j\b\.?/g, "$1 jahre")
+    .replace(/\s+/g, " ");
+}
+const num = (x) => (/^\d+$/.test(x) ? Number(x) : NUMBER_WORDS[x] ?? null);
+
+// Teil des Leistungstexts, der eine Grenze festlegt: „Anmerkung: …“ ist eine Empfehlung; ein datierter Klammerzusatz
+// ersetzt die ältere Angabe davor („bis zum vollendeten 5. Lebensjahr (ab 1.7.2019 bis zum vollendeten 6. Lebensjahr)“),
+// einer mit Enddatum („(bis 30.6.2019 …)“) ist überholt
+const DATED = /^(ab|seit|bis) (?:dem |zum )?\d{1,2}\. ?\d{1,2}\. ?\d{2,4}:? ?(.*)$/;
+function limitClause(title) {
+  let t = plain(title).replace(/\banmerkung\b.*$/, "");
+  let current = null;
+  t = t.replace(/\(([^)]*)\)/g, (whole, inner) => {
+    const m = inner.trim().match(DATED);
+    if (!m) return whole;
+    if (m[1] !== "bis") current = m[2];
+    return " ";
+  });
+  return current ?? t;
+}
+
+// Leistungstext → { minAge?, maxAge? } | null
+// „bis zu sechs Jahren“/„bis 12 J.“ → bis einschließlich; „bis zum (vollendeten) 6. Lebensjahr“, „< 6 Jahren“ → bis 5;
+// „ab dem vollendeten N. Lebensjahr“, „von 5 bis 12 Jahre“, „> 12 J.“; Lebensmonate/-wochen werden auf Jahre abgerundet.
+// Grenzen mit Ausnahme („darüber mit besonderer Begründung“) gelten nicht als Ausschluss.
+function ageLimitsFromText(title) {
+  const t = limitClause(title);
+  if (/darueber|ausnahmsweise|in begruendeten/.test(t)) return null;
+  let m;
+  const limits = (minAge, maxAge) => {
+    const out = {};
+    if (Number.isInteger(minAge)) out.minAge = minAge;
+    if (Number.isInteger(maxAge)) out.maxAge = maxAge;
+    return Object.keys(out).length ? out : null;
+  };
+  if ((m = t.match(new RegExp(`zwischen (?:dem |der )?(?:vollendeten )?${N}\\.?(?: lebensjahr)? (?:und|bis) (?:zum |dem |der )?(?:vollendeten )?${N}\\.? ?(lebensjahr|lebensmonat|lebenswoche)`)))) {
+    const [a, b] = [num(m[1]), num(m[2])];
+    if (a === null || b === null) return null;
+    if (m[3] === "lebensjahr") return limits(a, b);
+    return m[3] === "lebensmonat" ? limits(Math.floor(a / 12), Math.floor(b / 12)) : limits(0, Math.floor(b / 52));
+  }
+  if ((m = t.match(new RegExp(`${N}\\.? ?[-–] ?${N}\\.? ?(lebensmonat|lebenswoche)`)))) {
+    const [a, b] = [num(m[1]), num(m[2])];
+    if (a === null || b === null) return null;
+    return m[3] === "lebensmonat" ? limits(Math.floor(a / 12), Math.floor(b / 12)) : limits(0, Math.floor(b / 52));
+  }
+  if ((m = t.match(new RegExp(`(?:ab|vom) (?:dem )?(?:vollendeten )?${N}\\.? ?lebensjahr bis (?:zum )?(?:vollendeten )?${N}\\.? ?lebensjahr`)))) {
+    return num(m[1]) === null || num(m[2]) === null ? null : limits(num(m[1]), num(m[2]) - 1);
+  }
+  if ((m = t.match(new RegExp(`von ${N} bis (?:zu )?${N} jahre`)))) return num(m[1]) === null || num(m[2]) === null ? null : limits(num(m[1]), num(m[2]));
+  if ((m = t.match(new RegExp(`bis (?:zum |zur )?(?:vollendeten )?${N}\\.? ?lebensjahr`))) && num(m[1]) !== null) return limits(null, num(m[1]) - 1);
+  if ((m = t.match(new RegExp(`ab (?:dem )?(?:vollendeten )?${N}\\.? ?lebensjahr`))) && num(m[1]) !== null) return limits(num(m[1]), null);
+  if ((m = t.match(new RegExp(`bis (?:zu |zum )?${N} jahre`))) && num(m[1]) !== null) return limits(null, num(m[1]));
+  if ((m = t.match(/< ?(\d{1,3}) jahre/))) return limits(null, Number(m[1]) - 1);
+  if ((m = t.match(new RegExp(`(?:> ?|ueber )${N} jahre`))) && num(m[1]) !== null) return limits(num(m[1]) + 1, null);
+  return null;
+}
+
+// Leistungstext → "w" | "m" | null („für Frauen und Männer“, „bei Mann und Frau“ → null)
+function sexFromText(title) {
+  const t = plain(title);
+  const female = /\b(fuer|bei|b\.) ?frauen\b|\bjunge frauen\b|\bder schwangeren\b/.test(t);
+  const male = /\b(fuer|bei) maennern?\b|\bfuer maenner\b|\b(beim|b\.) ?mann\b/.test(t);
+  if (/frauen und maenner|maenner und frauen|mann und frau|frau und mann/.test(t)) return null;
+  if (female && !male) return "w";
+  if (male && !female) return "m";
+  return null;
+}
+
+// Geschlecht aus dem Request → "w" | "m" | "d" | null; undefined bei ungültiger Angabe
+function parseSex(raw) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  const s = lower(raw);
+  if (["w", "f", "weiblich", "female", "frau"].includes(s)) return "w";
+  if (["m", "maennlich", "männlich", "male", "mann"].includes(s)) return "m";
+  if (["d", "x", "divers", "diverse", "inter"].includes(s)) return "d";
+  return undefined;
+}
+
+// Textgrenzen je Katalogeintrag zwischengespeichert – die Einträge wechseln nur mit einem Katalog-Reload
+const fromText = new WeakMap();
+function textLimits(it) {
+  if (!fromText.has(it)) fromText.set(it, { age: ageLimitsFromText(it.title), sex: sexFromText(it.title) });
+  return fromText.get(it);
+}
+const ageRuleFor = (it, rules, payer) => (rules || []).find((r) => r.type === "age" && lower(r.payer) === lower(payer)
+  && (!r.region || lower(r.region) === lower(it.region)) && r.pos.some((p) => posKey(p) === posKey(it.pos)));
+const outside = (lim, age) => (lim.minAge !== undefined && age < lim.minAge) || (lim.maxAge !== undefined && age > lim.maxAge);
+const ageLabel = (lim) => (lim.maxAge === undefined ? `ab ${lim.minAge} Jahren`
+  : lim.minAge === undefined ? `bis ${lim.maxAge} Jahre` : `${lim.minAge}–${lim.maxAge} Jahre`);
+
+// Passung einer Position zu Alter/Geschlecht (je null = unbekannt) → { drop, hint, specific }
+//   drop      age-Regel aus billing_rules.json verletzt
+//   hint      Grenze laut Leistungstext verfehlt (Begründung für die Anzeige)
+//   specific  Altersgrenze (Regel oder Text) passt
+function patientFit(it, { age = null, sex = null, rules = [], payer = null } = {}) {
+  const rule = age !== null ? ageRuleFor(it, rules, payer || it.payer) : null;
+  const text = textLimits(it);
+  const hints = [];
+  if (age !== null && !rule && text.age && outside(text.age, age)) hints.push(`laut Leistungstext ${ageLabel(text.age)}`);
+  if (sex && sex !== "d" && text.sex && text.sex !== sex) hints.push(`laut Leistungstext für ${text.sex === "w" ? "Frauen" : "Männer"}`);
+  return {
+    drop: Boolean(rule && outside(rule, age)),
+    hint: hints.length ? hints.join("; ") : null,
+    specific: Boolean(rule || (age !== null && text.age && !outside(text.age, age)))
+  };
+}
+
+// Positionen für Alter/Geschlecht: Regelverstöße fallen weg, passende mit Altersgrenze stehen vor den übrigen,
+// solche mit verfehlter Textgrenze dahinter (sonst gleiche Reihenfolge)
+function filterForPatient(items, { age = null, sex = null, rules = [], payer = null } = {}) {
+  if (age === null && (sex === null || sex === "d")) return items;
+  const specific = [];
+  const general = [];
+  const demoted = [];
+  for (const it of items) {
+    const fit = patientFit(it, { age, sex, rules, payer });
+    if (fit.drop) continue;
+    (fit.hint ? demoted : fit.specific ? specific : general).push(it);
+  }
+  return [...specific, ...general, ...demoted];
+}
+
+module.exports = { ageLimitsFromText, sexFromText, parseSex, patientFit, filterForPatient };
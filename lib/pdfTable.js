@@ -0,0 +1,384 @@
+// lib/pdfTable.js
+// Layoutbasierte Extraktion von Tarif-Tabellen aus PDFs (pdf-parse-Seitendaten mit x/y-Positionen).
+// Statt Textzeilen per Regex zu raten, werden Zeilen über die y-Position gebildet und Zellen über
+// die x-Position den Spalten des Tabellenkopfs („Pos.Nr. | Leistung | Punkte | Anmerkung …“) zugeordnet.
+
+const pdf = require("pdf-parse");
+
+// --- Seiten laden ---
+async function loadPages(buf) {
+  const pages = [];
+  await pdf(buf, {
+    pagerender: async (pageData) => {
+      const tc = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      const [, , width, height] = pageData.view;
+      pages.push({
+        n: pageData.pageNumber,
+        width,
+        height,
+        items: tc.items.map((it) => ({ str: it.str, x: it.transform[4], y: it.transform[5], w: it.width }))
+      });
+      return "";
+    }
+  });
+  return pages.sort((a, b) => a.n - b.n);
+}
+
+// --- Zeilen & Zellen ---
+const DOT_LEADER = /^[\s.…·_]+$/;
+const cleanStr = (s) => String(s)
+  .replace(/\u00AD/g, "")
+  .replace(/\s*(?:\.\s?){4,}\s*$/, " ")  // Punktlinien am Ende („Blutabnahme ......“)
+  .replace(/^\s*(?:\.\s?){4,}/, " ");
+
+function groupRows(items, tolerance) {
+  const sorted = items
+    .filter((it) => it.str && !DOT_LEADER.test(it.str))
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+  const rows = [];
+  for (const it of sorted) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - it.y) <= tolerance) row.items.push(it);
+    else rows.push({ y: it.y, items: [it] });
+  }
+  for (const row of rows) row.items.sort((a, b) => a.x - b.x);
+  return rows;
+}
+
+// benachbarte Textstücke mit kleinem Abstand zu einer Zelle verbinden („25,“ + „71“ → „25,71“)
+function toCells(row, cellGap) {
+  const cells = [];
+  for (const it of row.items) {
+    const str = cleanStr(it.str);
+    if (!str.trim()) continue;
+    const cur = cells[cells.length - 1];
+    const gap = cur ? it.x - (cur.x + cur.w) : Infinity;
+    if (cur && gap < cellGap) {
+      cur.text += (gap < 0.8 || /\s$/.test(cur.text) ? "" : " ") + str;
+      cur.w = it.x + it.w - cur.x;
+    } else {
+      cells.push({ x: it.x, w: it.w, text: str });
+    }
+  }
+  for (const c of cells) c.text = c.text.replace(/\s+/g, " ").trim();
+  return cells.filter((c) => c.text);
+}
+
+// --- Tabellenkopf → Spaltenmodell ---
+const HEADER_LABELS = [
+  ["pos", /^Pos\.?\s*-?\s*Nr\.?:?$|^PosNr$|^Pos\.?$/i],
+  // „Untersuchungsgruppen und Einzeluntersuchungen“ (Kärnten Labor, Kopf über drei Zeilen)
+  ["title", /^(Bezeichnung|Art der Leistung|Art des Honorars|Positionstext|Leistungstext|Leistung|Text|Aufnahme|Untersuchungsgruppen und Einzeluntersuchungen):?$/i],
+  ["syn", /^Syn\.?$/i],
+  // „achgruppe“: Kärnten S. 75, dort fehlt das „F“ im Text der PDF
+  ["specialty", /^(FG|Ber\.?|Berufsbez\.?|F?achgrupp?e)$/i],
+  // „Labor-/punkte*“, „Röntgen-/punkte*“, „EKG-/Punkte*“ (Tirol, Kopf über zwei Zeilen), „Unk./€“ und „Hon./€“ (Steiermark Röntgen),
+  // „Honorar/ Punkte“, „Punkte / Honorar“ und „Unkosten“ (Kärnten)
+  ["points", /^(Punkte|€|Euro|Tarif|Tarif KUF|Wert|Honorar|Honorar\/ ?Punkte|Punkte ?\/ ?Honorar|Unkosten|(Labor|Röntgen|EKG)-? ?punkte\*?|(Unk|Hon)\.?\/€:?)$/i],
+  ["unit", /^P\/öS$/i],
+  // Kärnten: Fachgruppe und Anmerkung teilen sich eine Spalte
+  ["remarks", /^(Erläuterung|Anmerkung|Anmerkungen|Fachgruppe\/ ?Anmerkung)$/i]
+];
+function headerLabel(text) {
+  for (const [key, rx] of HEADER_LABELS) if (rx.test(text)) return key;
+  return null;
+}
+function detectHeader(cells) {
+  const cols = [];
+  for (const c of cells) {
+    const key = headerLabel(c.text);
+    if (!key) return null; // Kopfzeilen enthalten nur Spaltenbezeichnungen
+    cols.push({ key, x: c.x, w: c.w, label: c.text });
+  }
+  if (!cols.length || cols[0].key !== "pos" || cols.length < 2) return null;
+  const points = cols.find((c) => c.key === "points");
+  return {
+    cols,
+    defaultUnit: points ? (/punkte/i.test(points.label) ? "P" : /^Wert$/i.test(points.label) ? null : "€") : null
+  };
+}
+
+// Tabellenkopf über mehrere Zeilen („Pos. | Fach- | An-“ / „Nr. | gruppe | merkung“): Zellen, die sich horizontal
+// überlappen, werden zu einer Bezeichnung verbunden → Zellen wie bei einem einzeiligen Kopf
+function mergeHeaderRows(rows, cellGap) {
+  const cols = [];
+  for (const row of rows) {
+    for (const c of toCells(row, cellGap)) {
+      const col = cols.find((x) => c.x < x.x + x.w && x.x < c.x + c.w);
+      if (col) {
+        col.lines.push(c.text);
+        const right = Math.max(col.x + col.w, c.x + c.w);
+        col.x = Math.min(col.x, c.x);
+        col.w = right - col.x;
+      } else cols.push({ x: c.x, w: c.w, lines: [c.text] });
+    }
+  }
+  return cols.sort((a, b) => a.x - b.x).map((c) => ({ x: c.x, w: c.w, text: joinLines(c.lines) }));
+}
+// Kopf ab Zeile idx: erst über bis zu headerRows Zeilen innerhalb von headerSpan pt, dann einzeilig
+// → { header, rows: Anzahl verbrauchter Zeilen } | null
+function headerAt(rows, idx, profile) {
+  for (let n = profile.headerRows; n >= 1; n--) {
+    const span = rows.slice(idx, idx + n);
+    if (span.length < n || span[0].y - span[n - 1].y > profile.headerSpan) continue;
+    const header = detectHeader(n === 1 ? toCells(span[0], profile.cellGap) : mergeHeaderRows(span, profile.cellGap));
+    if (header) return { header, rows: n };
+  }
+  return null;
+}
+
+// Zelle einer Spalte zuordnen; rechtsbündige Beträge beginnen oft links vom Kopf → eigener Spielraum
+function columnOf(model, cell, slack) {
+  let key = "title";
+  for (const col of model.cols) {
+    const s = col.key === "points" || col.key === "unit" ? slack * 2 : slack;
+    if (col.x - s <= cell.x) key = col.key;
+  }
+  return key === "pos" ? "title" : key;
+}
+
+// --- Beträge ---
+// „5/II“, „14/I“, „15/L“ (Tiroler Laborpunkte), „4“, „2,19“, „€ 14,13“, „€ 2,5018“ (BVAEB: 4 Nachkommastellen),
+// „50.00“ (+ Einheit aus eigener Spalte), „20+RI“, „80+RII“ (SVS: Punkte zuzüglich Regiezuschlag der Gruppe,
+// der Zusatz steht in den Anmerkungen)
+const PLUS_RI = /\+R[IV]+$/i;
+function parseAmount(text, unit) {
+  const t = String(text).replace(/\s+/g, "").replace(/^Euro/i, "€").replace(PLUS_RI, "");
+  const m = t.match(/^(€)?(\d{1,5}(?:[.,]\d{1,4})?)(?:\/([IVX]+|L))?(P|€)?$/i);
+  if (!m) return null;
+  const value = Number(m[2].replace(",", "."));
+  if (!Number.isFinite(value)) return null;
+  const u = m[1] || m[4] === "€" ? "€" : m[3] || (m[4] && m[4].toUpperCase() === "P") ? "P" : unit || "P";
+  return { value, unit: u, klasse: u === "P" && m[3] ? m[3].toUpperCase() : null };
+}
+function formatAmount(a) {
+  if (!a) return "";
+  if (a.unit === "€") return `€ ${a.value.toFixed(Math.max(2, (String(a.value).split(".")[1] || "").length)).replace(".", ",")}`;
+  const v = String(a.value).replace(".", ",");
+  return a.klasse ? `${v}/${a.klasse}` : `${v} P`;
+}
+
+// Innomed kennzeichnet Eurobeträge historisch mit „öS“
+function unitFromColumn(text) {
+  const t = String(text).trim();
+  if (/^P$/i.test(t)) return "P";
+  if (/^(öS|€|EUR)$/i.test(t)) return "€";
+  return null;
+}
+
+// --- Textzeilen zusammenfügen (Silbentrennung am Zeilenende auflösen) ---
+function joinLines(lines) {
+  let out = "";
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) continue;
+    if (!out) { out = line; continue; }
+    if (/[A-Za-zäöüß]-$/.test(out) && /^[a-zäöüß]/.test(line)) out = out.slice(0, -1) + line;
+    else if (/[A-Za-zäöüß]-$/.test(out) && /^[A-ZÄÖÜ]/.test(line)) out += line; // Bindestrich-Kompositum („Notfall-EKG“)
+    else out += " " + line;
+  }
+  return out.replace(/\s+/g, " ").replace(/\s+([,.;:)])/g, "$1").trim();
+}
+
+// --- Seite → Zeilen mit Spaltenzuordnung ---
+function classifyRows(page, profile, state) {
+  const rows = groupRows(page.items, profile.rowTolerance)
+    .filter((r) => r.y > page.height * profile.marginBottom && r.y < page.height * (1 - profile.marginTop));
+
+  // steht auf der Seite ein Tabellenkopf, ist alles darüber Seitenkopf; mehrzeilige Köpfe werden ganz verbraucht
+  const headerIdx = rows.findIndex((r, idx) => headerAt(rows, idx, profile));
+  const out = [];
+  for (let idx = Math.max(headerIdx, 0); idx < rows.length; idx++) {
+    const row = rows[idx];
+    const hit = headerAt(rows, idx, profile);
+    if (hit) { state.model = hit.header; out.push({ y: row.y, kind: "header" }); idx += hit.rows - 1; continue; }
+    if (!state.model) continue;
+    const cells = toCells(row, profile.cellGap);
+
+    const posCol = state.model.cols[0];
+    const first = cells[0];
+    const r = { y: row.y, kind: "text", text: cells.map((c) => c.text).join(" "), pos: null, title: [], remarks: [], points: [], unit: [], specialty: [], syn: [] };
+    for (const c of cells) {
+      const isPosArea = c === first && c.x <= posCol.x + profile.posMaxOffset;
+      if (isPosArea && profile.code.test(c.text)) { r.pos = profile.cleanCode(c.text); continue; }
+      if (isPosArea && profile.heading.test(c.text)) { r.kind = "heading"; break; }
+      // Fließtext unter der Tabelle beginnt unter dem Kopf „Pos.Nr.“ und läuft über alle Spalten („Anmerkung: …“)
+      if (c === first && c.x < posCol.x + posCol.w && profile.posAreaText === "remarks") { r.remarks.push(r.text); break; }
+      r[columnOf(state.model, c, profile.slack)].push(c.text);
+    }
+    if (r.kind === "text" && r.pos) r.kind = "anchor";
+    out.push(r);
+  }
+  return out;
+}
+
+// --- Zeilen → Einträge ---
+function blocksTop(rows, maxGap) {
+  const blocks = [];
+  let cur = null;
+  for (const r of rows) {
+    if (r.kind === "anchor") { cur = { rows: [r] }; blocks.push(cur); continue; }
+    if (r.kind !== "text" || !cur) { cur = null; continue; }
+    const last = cur.rows[cur.rows.length - 1];
+    if (last.y - r.y > maxGap) { cur = null; continue; }
+    cur.rows.push(r);
+  }
+  return blocks.map((b) => ({ ...b, anchor: "top" }));
+}
+
+// Positionsnummer steht vertikal mittig im Block → Zeilen dem nächstgelegenen Anker zuordnen;
+// eine einzelne Textzeile nur in der Leistungsspalte mit großem Abstand nach oben und unten ist eine
+// Zwischenüberschrift („Harnuntersuchung“) und gehört zu keinem Eintrag
+function blocksMiddle(rows, blockGap) {
+  const blocks = [];
+  let segment = [];
+  const flush = () => {
+    const anchors = segment.filter((r) => r.kind === "anchor").map((r) => ({ rows: [r], anchorY: r.y }));
+    for (const r of segment) {
+      if (r.kind === "anchor" || !anchors.length) continue;
+      const best = anchors.reduce((a, b) => (Math.abs(b.anchorY - r.y) < Math.abs(a.anchorY - r.y) ? b : a));
+      best.rows.push(r);
+    }
+    for (const a of anchors) a.rows.sort((x, y) => y.y - x.y);
+    blocks.push(...anchors.map((a) => ({ rows: a.rows, anchor: "middle" })));
+    segment = [];
+  };
+  const apart = (a, b) => !a || !b || Math.abs(a.y - b.y) > blockGap;
+  const subheading = (r, i) => r.kind === "text" && r.title.length && !r.points.length && !r.remarks.length &&
+    !r.specialty.length && apart(rows[i - 1], r) && apart(r, rows[i + 1]);
+  rows.forEach((r, i) => {
+    if (r.kind === "header" || r.kind === "heading" || subheading(r, i)) { flush(); return; }
+    segment.push(r);
+  });
+  flush();
+  return blocks;
+}
+
+// Einträge durch größere Zeilenabstände getrennt, Positionsnummer nicht immer in der ersten Zeile (Tirol) →
+// Zeilengruppen über den Abstand bilden; Zeilen vor dem ersten Anker gehören zu diesem, jeder weitere Anker
+// übernimmt die Zeilen bis zum nächsten
+function blocksGap(rows, blockGap) {
+  const blocks = [];
+  let run = [];
+  const flush = () => {
+    const lead = [];
+    let cur = null;
+    for (const r of run) {
+      if (r.kind === "anchor") { cur = { rows: cur ? [r] : [...lead, r] }; blocks.push(cur); }
+      else (cur ? cur.rows : lead).push(r);
+    }
+    run = [];
+  };
+  for (const r of rows) {
+    if (r.kind === "header" || r.kind === "heading") { flush(); continue; }
+    const last = run[run.length - 1];
+    if (last && last.y - r.y > blockGap) flush();
+    run.push(r);
+  }
+  flush();
+  return blocks.map((b) => ({ ...b, anchor: "gap" }));
+}
+
+const EURO_IN_TEXT = /€\s?\d{1,5},\d{2,4}/;
+const SNIPPET_MAX = 600;
+
+function blockToEntry(block, model) {
+  const anchorRow = block.rows.find((r) => r.kind === "anchor");
+  const titleLines = [];
+  const remarkLines = [];
+  const extra = [];
+  let amount = null;
+  let pointsText = "";
+  const specialties = new Set();
+  let syn = null;
+
+  for (const r of block.rows) {
+    // „oben“ verankert: Titel endet in der Zeile mit dem Betrag, danach folgen Bemerkungen
+    const titleDone = block.anchor === "top" && amount !== null;
+    const unit = unitFromColumn(r.unit.join(" ")) || model.defaultUnit;
+    for (const p of r.points) {
+      // mehrere Betragsspalten (Röntgen: Honorar/Unkosten) → die erste zählt
+      const a = !amount ? parseAmount(p, unit) || parseAmount(p.split(" ")[0], unit) : null;
+      if (a) {
+        amount = a;
+        pointsText = p;
+        if (PLUS_RI.test(p.replace(/\s+/g, ""))) extra.push(`Punkte: ${p.replace(/\s+/g, "")}`);
+      } else extra.push(p);
+    }
+    (titleDone ? remarkLines : titleLines).push(r.title.join(" "));
+    remarkLines.push(r.remarks.join(" "));
+    for (const s of r.specialty) for (const x of s.split(/[,\s]+/)) if (x) specialties.add(x);
+    if (!syn && r.syn.length) syn = r.syn.join(" ");
+  }
+
+  // Betrag in die Textspalte gerutscht („Niere Schützen € 12,54“) → aus dem Titel lösen
+  let title = joinLines(titleLines);
+  if (!amount) {
+    const m = title.match(EURO_IN_TEXT);
+    if (m) { amount = parseAmount(m[0]); pointsText = m[0]; title = joinLines([title.replace(m[0], " ")]); }
+  }
+
+  return {
+    pos: anchorRow.pos,
+    title,
+    amount,
+    pointsText,
+    remarks: joinLines([...remarkLines, ...extra]),
+    specialties: Array.from(specialties),
+    syn,
+    // Originaltext des Blocks zum Nachlesen in der Quelle: Zeile für Zeile über alle Spalten; mittig verankerte
+    // Blöcke (Kärnten) setzen die Spalten in der Höhe versetzt, dort Spalte für Spalte
+    snippet: (block.anchor === "middle"
+      ? joinLines([anchorRow.pos, title, pointsText, ...specialties, joinLines([...remarkLines, ...extra])])
+      : joinLines(block.rows.map((r) => r.text))).slice(0, SNIPPET_MAX)
+  };
+}
+
+// --- Einstieg ---
+// Liefert { entries, incomplete, numpages }: entries mit page/pos/title/amount/remarks/specialties/snippet,
+// unvollständige Blöcke (ohne Betrag) als incomplete zur Diagnose
+async function extractTable(buf, profile) {
+  const pages = await loadPages(buf);
+  const state = { model: null };
+  const entries = [];
+  const incomplete = [];
+  for (const page of pages) {
+    const rows = classifyRows(page, profile, state);
+    const blocks = profile.anchor === "middle" ? blocksMiddle(rows, profile.blockGap)
+      : profile.anchor === "gap" ? blocksGap(rows, profile.blockGap)
+        : blocksTop(rows, profile.maxGap);
+    for (const block of blocks) {
+      const e = blockToEntry(block, state.model);
+      e.page = page.n;
+      if (e.amount && e.title.length > 2) entries.push(e);
+      else incomplete.push(e);
+    }
+  }
+  return { entries, incomplete, numpages: pages.length };
+}
+
+// --- Fließtext je Seite (Bestimmungen, Anmerkungen) für die Textstellensuche (scripts/buildPassages.js) ---
+// Absätze über den Zeilenabstand: ein Sprung über das 1,6-Fache des üblichen Abstands beginnt einen neuen Absatz
+const PARAGRAPH_GAP = 1.6;
+async function pageParagraphs(buf, { rowTolerance = 2.5 } = {}) {
+  const out = [];
+  for (const page of await loadPages(buf)) {
+    const rows = groupRows(page.items, rowTolerance)
+      .map((r) => ({ y: r.y, text: r.items.map((it) => cleanStr(it.str)).join(" ").replace(/\s+/g, " ").trim() }))
+      .filter((r) => r.text);
+    const gaps = rows.slice(1).map((r, i) => rows[i].y - r.y).filter((g) => g > 0).sort((a, b) => a - b);
+    const usual = gaps.length ? gaps[Math.floor(gaps.length / 2)] : 0;
+    let lines = [];
+    rows.forEach((r, i) => {
+      if (i && usual && rows[i - 1].y - r.y > usual * PARAGRAPH_GAP && lines.length) {
+        out.push({ page: page.n, text: joinLines(lines) });
+        lines = [];
+      }
+      lines.push(r.text);
+    });
+    if (lines.length) out.push({ page: page.n, text: joinLines(lines) });
+  }
+  return out.filter((p) => p.text);
+}
+
+module.exports = { extractTable, pageParagraphs, parseAmount, formatAmount, joinLines };
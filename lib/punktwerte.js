@@ -0,0 +1,112 @@
+// lib/punktwerte.js
+// Euro-Werte für Vorschläge: Punktwerte je Träger, Landesstelle, Gültigkeit und Punkteklasse (scripts/rules/punktwerte.json).
+// Eintrag: { id, payer, region?, validFrom?, validTo?, klasse?, posPattern?, specialties?, sourceFile?, pages?, euro, label?, note?, source }
+//   klasse       nur für Punkte dieser Punkteklasse („I“, „II“ – z. B. „5/II“)
+//   posPattern   regulärer Ausdruck auf die Pos.-Nr. (ohne Leerzeichen, Groß-/Kleinschreibung egal), z. B. Laborabschnitt
+//   specialties  nur für diese Fachgebiete der Ärztin/des Arztes (user_metadata.specialty)
+//   sourceFile   nur für Positionen aus diesem Tarif-PDF, optional eingeschränkt auf pages [von, bis]
+//   euro         € je Punkt; null = bewusst kein Punktwert (Position bleibt ohne Eurobetrag)
+// Passen mehrere Einträge, gewinnt der spezifischste (Pos./Seiten vor Fachgebiet vor Punkteklasse vor Landesstelle),
+// bei Gleichstand der erste in der Datei. Eurobeträge aus dem Katalog („€ 14,30“) werden direkt übernommen.
+
+const { parseAmount } = require("./pdfTable");
+
+const isStr = (x) => typeof x === "string";
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+const lower = (s) => String(s || "").trim().toLowerCase();
+const nfc = (s) => String(s || "").normalize("NFC");
+const posKey = (p) => String(p).replace(/\s+/g, "");
+
+// --- Schema (für lib/catalogData.js) ---
+function checkPunktwerte(j) {
+  if (!Array.isArray(j)) return ["punktwerte.json: Array erwartet"];
+  const problems = [];
+  const ids = new Set();
+  j.forEach((e, i) => {
+    const where = `punktwerte.json: [${i}]${e?.id ? ` (${e.id})` : ""}`;
+    if (!e || typeof e !== "object") { problems.push(`${where}: Objekt erwartet`); return; }
+    if (!isStr(e.id) || !e.id) problems.push(`${where}: id fehlt`);
+    else if (ids.has(e.id)) problems.push(`${where}: id doppelt`);
+    ids.add(e.id);
+    if (!isStr(e.payer) || !e.payer) problems.push(`${where}: payer fehlt`);
+    if (!isStr(e.source) || !e.source) problems.push(`${where}: source (Fundstelle) fehlt`);
+    if (!(e.euro === null || (typeof e.euro === "number" && e.euro > 0))) problems.push(`${where}: euro muss eine Zahl > 0 oder null sein`);
+    for (const k of ["region", "klasse", "sourceFile", "label", "note"]) if (e[k] !== undefined && !isStr(e[k])) problems.push(`${where}: ${k} muss Text sein`);
+    for (const k of ["validFrom", "validTo"]) if (e[k] !== undefined && !ISO_DAY.test(e[k])) problems.push(`${where}: ${k} muss JJJJ-MM-TT sein`);
+    if (e.validFrom && e.validTo && e.validTo < e.validFrom) problems.push(`${where}: validTo liegt vor validFrom`);
+    if (e.posPattern !== undefined) {
+      try { new RegExp(e.posPattern, "i"); } catch (err) { problems.push(`${where}: posPattern ungültig (${err.message})`); }
+    }
+    if (e.specialties !== undefined && !(Array.isArray(e.specialties) && e.specialties.length && e.specialties.every(isStr))) {
+      problems.push(`${where}: specialties muss eine Textliste sein`);
+    }
+    if (e.pages !== undefined) {
+      const ok = Array.isArray(e.pages) && e.pages.length === 2 && e.pages.every(Number.isInteger) && e.pages[0] <= e.pages[1];
+      if (!ok) problems.push(`${where}: pages muss [von, bis] sein`);
+      if (!e.sourceFile) problems.push(`${where}: pages nur zusammen mit sourceFile`);
+    }
+  });
+  return problems;
+}
+
+// Punkte/Euro einer Position: amount aus dem Index, sonst aus dem Text („4“, „5/II“, „20 P“, „€ 14,30“)
+function amountOf(p) {
+  return p.amount || (p.points ? parseAmount(p.points) : null);
+}
+
+// passender Punktwert-Eintrag für eine Position (Punkte) oder null
+// ctx: { region, serviceDate, specialties } – region der Position hat Vorrang vor der des Vorschlags
+const patterns = new WeakMap();
+function punktwertFor(p, table, ctx = {}) {
+  const a = amountOf(p);
+  if (!a || a.unit !== "P") return null;
+  const day = ctx.serviceDate || new Date().toISOString().slice(0, 10);
+  const region = p.region || ctx.region || null;
+  const mine = (ctx.specialties || []).map(lower);
+  let best = null;
+  let bestScore = -1;
+  for (const e of table || []) {
+    if (lower(e.payer) !== lower(p.payer)) continue;
+    if (e.region && lower(e.region) !== lower(region)) continue;
+    if ((e.validFrom && day < e.validFrom) || (e.validTo && day > e.validTo)) continue;
+    if (e.klasse && e.klasse !== a.klasse) continue;
+    if (e.specialties && !e.specialties.some((s) => mine.includes(lower(s)))) continue;
+    if (e.sourceFile && nfc(e.sourceFile) !== nfc(p.source)) continue;
+    if (e.pages && !(p.page >= e.pages[0] && p.page <= e.pages[1])) continue;
+    if (e.posPattern) {
+      if (!patterns.has(e)) patterns.set(e, new RegExp(e.posPattern, "i"));
+      if (!patterns.get(e).test(posKey(p.pos))) continue;
+    }
+    const score = (e.posPattern || e.pages ? 8 : 0) + (e.specialties ? 4 : 0) + (e.klasse ? 2 : 0) + (e.region ? 1 : 0);
+    if (score > bestScore) { best = e; bestScore = score; }
+  }
+  return best;
+}
+
+const cents = (x) => Math.round(x * 100) / 100;
+
+// Position → { euro, punktwert } (euro für die ganze Menge, null ohne bekannten Wert)
+function priceOf(p, table, ctx) {
+  const a = amountOf(p);
+  const quantity = p.quantity || 1;
+  if (!a) return { euro: null, punktwert: null };
+  if (a.unit === "€") return { euro: cents(a.value * quantity), punktwert: null };
+  const e = punktwertFor(p, table, ctx);
+  if (!e || e.euro === null) return { euro: null, punktwert: null };
+  return {
+    euro: cents(a.value * e.euro * quantity),
+    punktwert: { id: e.id, euro: e.euro, label: e.label || null, note: e.note || null, source: e.source }
+  };
+}
+
+// Ergebnis → gleiches Ergebnis mit euro/punktwert je Position, euroTotal (null, wenn keine Position einen Eurobetrag hat)
+// und euroMissing (Pos.-Nrn. ohne Eurobetrag, nicht in euroTotal enthalten)
+function priceResult(result, table, ctx = {}) {
+  const positions = result.positions.map((p) => ({ ...p, ...priceOf(p, table, { ...ctx, region: ctx.region ?? result.region, serviceDate: ctx.serviceDate || result.serviceDate }) }));
+  const missing = positions.filter((p) => p.euro === null).map((p) => p.pos);
+  const priced = positions.filter((p) => p.euro !== null);
+  const euroTotal = priced.length ? cents(priced.reduce((s, p) => s + p.euro, 0)) : null;
+  return { ...result, positions, euroTotal, euroMissing: missing };
+}
+
+module.exports = { checkPunktwerte, amountOf, punktwertFor, priceResult };
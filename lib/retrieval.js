@@ -0,0 +1,208 @@
+// lib/retrieval.js
+// Textstellen aus den Tarif-PDFs (Bestimmungen, Limitierungen, Kombinationsverbote) zu den Kandidaten einer Anfrage:
+// gehen als Auszüge an das Modell und kommen als Fundstellen (citations) mit Datei, Seite und Wortlaut zurück.
+// Die Suche läuft nur mit Pos.-Nr. und Leistungstext aus dem Katalog, nie mit der Eingabe der Ärztin/des Arztes.
+//
+// Anbieter:
+//   openai  OpenAI Vector Store aus scripts/uploadCatalogs.js (VECTOR_STORE_ID), Suche über /vector_stores/{id}/search
+//   local   lokaler Ersatz: catalogs/passages.json aus scripts/buildPassages.js, BM25 über die Absätze (ohne Netz)
+//   off     keine Textstellen
+//
+// ENV:
+//   RETRIEVAL_PROVIDER      openai | local | off (Standard: openai, wenn VECTOR_STORE_ID gesetzt ist, sonst off)
+//   VECTOR_STORE_ID         ID des Vector Stores (openai)
+//   RETRIEVAL_BASE_URL      API-Basis (openai, Standard https://api.openai.com/v1)
+//   RETRIEVAL_API_KEY       Schlüssel (Fallback: OPENAI_API_KEY)
+//   RETRIEVAL_STORE_FILE    Absätze für local (Standard catalogs/passages.json)
+//   RETRIEVAL_TIMEOUT_MS    Timeout je Suche (Standard 10000)
+//   RETRIEVAL_MAX_PASSAGES  höchstens so viele Textstellen je Anfrage (Standard 6)
+
+const fs = require("fs");
+const path = require("path");
+
+const FORMAT_VERSION = 1;
+const PASSAGE_MAX = 600;
+const DEFAULT_STORE = path.join(__dirname, "..", "catalogs", "passages.json");
+// Suchbegriffe für Abrechnungsbestimmungen zusätzlich zu Pos.-Nr. und Leistungstext
+const RULE_TERMS = "verrechenbar nicht neben nur einmal höchstens Limitierung Behandlungsfall Quartal";
+const STOPWORDS = new Set(["der", "die", "das", "und", "oder", "mit", "von", "fuer", "bei", "ein", "eine", "einer", "des", "dem", "den", "im", "in", "zu", "je", "pro", "auf", "ist", "sind", "wird", "werden", "nr", "pos"]);
+
+const nfc = (s) => String(s || "").normalize("NFC");
+const isStr = (x) => typeof x === "string";
+
+// --- Schema der lokalen Datei ---
+function checkPassages(j) {
+  if (!j || typeof j !== "object" || Array.isArray(j)) return ["passages.json: Objekt erwartet"];
+  const problems = [];
+  if (j.format !== FORMAT_VERSION) problems.push(`passages.json: format ${FORMAT_VERSION} erwartet`);
+  if (!Array.isArray(j.passages)) return [...problems, "passages.json: passages muss ein Array sein"];
+  j.passages.forEach((p, i) => {
+    if (!p || !isStr(p.file) || !isStr(p.text) || !Number.isInteger(p.page)) problems.push(`passages.json: [${i}] braucht file, page, text`);
+  });
+  return problems.slice(0, 20);
+}
+
+// --- Tokens: klein, Umlaute ausgeschrieben, Wortstamm grob über die ersten 7 Zeichen (limitiert ~ Limitierung) ---
+function tokens(s) {
+  return String(s).toLowerCase()
+    .replace(/ä/g, "ae").replace(/ö/g, "oe").replace(/ü/g, "ue").replace(/ß/g, "ss")
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t && !STOPWORDS.has(t) && (t.length > 1 || /\d/.test(t)))
+    .map((t) => (/\d/.test(t) ? t : t.slice(0, 7)));
+}
+
+// --- local: BM25 über die Absätze, Datei wird bei Änderung neu gelesen ---
+function bm25Index(passages) {
+  const docs = passages.map((p) => {
+    const tf = new Map();
+    for (const t of tokens(p.text)) tf.set(t, (tf.get(t) || 0) + 1);
+    return { p, tf, len: Array.from(tf.values()).reduce((s, n) => s + n, 0) };
+  });
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLen = docs.reduce((s, d) => s + d.len, 0) / (docs.length || 1);
+  return { docs, df, avgLen };
+}
+function bm25Search(idx, query, { files = null, limit = 3 } = {}) {
+  const k1 = 1.2;
+  const b = 0.75;
+  const terms = Array.from(new Set(tokens(query)));
+  const allowed = files ? new Set(files.map(nfc)) : null;
+  const n = idx.docs.length;
+  const hits = [];
+  for (const d of idx.docs) {
+    if (allowed && !allowed.has(nfc(d.p.file))) continue;
+    let score = 0;
+    for (const t of terms) {
+      const f = d.tf.get(t);
+      if (!f) continue;
+      const idf = Math.log(1 + (n - idx.df.get(t) + 0.5) / (idx.df.get(t) + 0.5));
+      score += idf * (f * (k1 + 1)) / (f + k1 * (1 - b + b * d.len / idx.avgLen));
+    }
+    if (score > 0) hits.push({ file: d.p.file, page: d.p.page, text: d.p.text, score });
+  }
+  return hits.sort((x, y) => y.score - x.score).slice(0, limit);
+}
+function localStore({ file }) {
+  let cache = { mtimeMs: null, idx: null };
+  const load = () => {
+    if (!fs.existsSync(file)) throw new Error(`Textstellen-Datei fehlt: ${path.basename(file)} (node scripts/buildPassages.js)`);
+    const { mtimeMs } = fs.statSync(file);
+    if (cache.mtimeMs !== mtimeMs) {
+      const j = JSON.parse(fs.readFileSync(file, "utf8"));
+      const problems = checkPassages(j);
+      if (problems.length) throw new Error(problems.join("; "));
+      cache = { mtimeMs, idx: bm25Index(j.passages) };
+    }
+    return cache.idx;
+  };
+  return {
+    name: "local",
+    configured: fs.existsSync(file),
+    search: async (query, opts) => bm25Search(load(), query, opts)
+  };
+}
+
+// --- openai: Vector Store Search (Treffer ohne Seitenangabe) ---
+function openAiStore({ baseUrl, apiKey, vectorStoreId, timeoutMs }) {
+  return {
+    name: "openai",
+    configured: Boolean(apiKey && vectorStoreId),
+    search: async (query, { files = null, limit = 3 } = {}) => {
+      const ctrl = new AbortController();
+      const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+      let res;
+      try {
+        res = await fetch(`${baseUrl.replace(/\/$/, "")}/vector_stores/${encodeURIComponent(vectorStoreId)}/search`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
+          // Dateifilter erst hier – die PDFs wurden ohne Attribute hochgeladen
+          body: JSON.stringify({ query, max_num_results: files ? Math.min(50, limit * 5) : limit }),
+          signal: ctrl.signal
+        });
+      } catch (e) {
+        throw new Error(e?.name === "AbortError" ? `Vector Store: Zeitüberschreitung nach ${timeoutMs} ms`
+          : `Vector Store nicht erreichbar (${e?.cause?.code || e?.message || e})`);
+      } finally {
+        clearTimeout(timer);
+      }
+      if (!res.ok) throw new Error(`Vector Store: HTTP ${res.status} ${(await res.text().catch(() => "")).slice(0, 200)}`);
+      const data = await res.json();
+      const allowed = files ? new Set(files.map(nfc)) : null;
+      return (data?.data || [])
+        .filter((d) => !allowed || allowed.has(nfc(d.filename)))
+        .map((d) => ({
+          file: d.filename,
+          page: null,
+          text: (d.content || []).filter((c) => c.type === "text").map((c) => c.text).join("\n"),
+          score: d.score
+        }))
+        .filter((d) => d.text)
+        .slice(0, limit);
+    }
+  };
+}
+
+function createRetriever(env = process.env) {
+  const name = String(env.RETRIEVAL_PROVIDER || (env.VECTOR_STORE_ID ? "openai" : "off")).toLowerCase();
+  const maxPassages = Number(env.RETRIEVAL_MAX_PASSAGES) || 6;
+  let store;
+  if (name === "off") return { name, configured: false, maxPassages, search: async () => [] };
+  if (name === "local") store = localStore({ file: env.RETRIEVAL_STORE_FILE || DEFAULT_STORE });
+  else if (name === "openai") {
+    store = openAiStore({
+      baseUrl: env.RETRIEVAL_BASE_URL || "https://api.openai.com/v1",
+      apiKey: env.RETRIEVAL_API_KEY || env.OPENAI_API_KEY || "",
+      vectorStoreId: env.VECTOR_STORE_ID || "",
+      timeoutMs: Number(env.RETRIEVAL_TIMEOUT_MS) || 10000
+    });
+  } else throw new Error(`Unbekannter RETRIEVAL_PROVIDER: ${name} (openai, local, off)`);
+  return { ...store, maxPassages };
+}
+
+// Auszug um die Fundstelle: Absatz, bei Überlänge ab dem Satz mit der Pos.-Nr. gekürzt
+function excerpt(text, pos) {
+  const t = String(text).replace(/\s+/g, " ").trim();
+  if (t.length <= PASSAGE_MAX) return t;
+  const at = pos ? t.search(new RegExp(`(^|[^\\w])${String(pos).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}([^\\w]|$)`, "i")) : -1;
+  const start = at > 0 ? Math.max(0, t.lastIndexOf(". ", at) + 1) : 0;
+  const cut = t.slice(start, start + PASSAGE_MAX).trim();
+  return `${start > 0 ? "… " : ""}${cut}${start + PASSAGE_MAX < t.length ? " …" : ""}`;
+}
+
+// Textstelle gehört zur Position: nennt die Pos.-Nr. oder mindestens die Hälfte der Wörter des Leistungstexts
+// (sonst trifft die Suche nur die Regelbegriffe irgendeiner anderen Position)
+function mentions(text, it) {
+  const words = new Set(tokens(text));
+  const pos = tokens(it.pos);
+  if (pos.length && pos.every((t) => words.has(t))) return true;
+  const title = Array.from(new Set(tokens(it.title)));
+  return title.length > 0 && title.filter((t) => words.has(t)).length >= title.length / 2;
+}
+
+// Kandidaten → Fundstellen [{ id: "q1", file, page, passage, score, pos: [Pos.-Nrn.] }]
+// je Kandidat eine Suche im eigenen Quell-PDF; reihum der beste Treffer je Kandidat (in Ranglistenreihenfolge),
+// dann der zweitbeste usw.; gleiche Textstellen werden zusammengefasst. offset: IDs ab q<offset+1> (mehrere Leistungen)
+async function citationsFor(items, retriever, { perItem = 2, offset = 0 } = {}) {
+  const lists = [];
+  for (const it of items) {
+    const hits = await retriever.search(`Pos. ${it.pos} ${it.title} ${RULE_TERMS}`, { files: it.source ? [it.source] : null, limit: perItem * 3 });
+    lists.push(hits.filter((h) => mentions(h.text, it)).slice(0, perItem).map((h) => ({ ...h, pos: String(it.pos) })));
+  }
+  const byKey = new Map();
+  for (let rank = 0; rank < perItem; rank++) {
+    for (const h of lists.map((l) => l[rank]).filter(Boolean)) {
+      // gleicher Auszug = gleiche Fundstelle; ein langer Absatz kann je Pos.-Nr. einen eigenen Auszug liefern
+      const passage = excerpt(h.text, h.pos);
+      const key = `${nfc(h.file)}|${h.page}|${passage}`;
+      const c = byKey.get(key);
+      if (c) { if (!c.pos.includes(h.pos)) c.pos.push(h.pos); continue; }
+      if (byKey.size >= retriever.maxPassages) continue;
+      byKey.set(key, { file: h.file, page: h.page, passage, score: Math.round(h.score * 1000) / 1000, pos: [h.pos] });
+    }
+  }
+  return Array.from(byKey.values()).map((c, i) => ({ id: `q${offset + i + 1}`, ...c }));
+}
+
+module.exports = { FORMAT_VERSION, STOPWORDS, checkPassages, createRetriever, citationsFor };
@@ -0,0 +1,89 @@
+// lib/serviceSplit.js
+// Zerlegt eine Konsultation („ÖGK, Erstordination, venöse Blutabnahme, EKG, 2× i.m. Injektion“)
+// in einzelne Leistungen mit Anzahl. Was nur Kontext ist (Träger, Bundesland) oder eine Angabe zur
+// vorherigen Leistung (z. B. „25 Minuten“), entscheidet der Aufrufer über isContext/isDetail; ob Komma oder „und“
+// wirklich zwei Leistungen trennt („EKG in Ruhe und mit Belastung“ ist eine), über resolve.
+
+const NUMBER_WORDS = { ein: 1, eine: 1, einmal: 1, zwei: 2, zweimal: 2, drei: 3, dreimal: 3, vier: 4, viermal: 4, fuenf: 5, "fünf": 5, "fünfmal": 5, sechs: 6 };
+const NUM = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join("|")})`;
+
+// „2×“, „2 x“, „2x“, „2-mal“, „zweimal“ vorne oder hinten; „2 Injektionen“ nur vorne und ohne Einheit dahinter
+const LEADING_TIMES = new RegExp(`^${NUM}\\s*(?:×|x|-?mal)?\\s+(?=\\S)`, "i");
+const TRAILING_TIMES = new RegExp(`\\s+${NUM}\\s*(?:×|x|-?mal)$`, "i");
+const UNIT_AFTER = /^(min|minute|minuten|std|stunde|stunden|tag|tage|woche|wochen|monat|monate|jahr|jahre|kg|g|mg|ml|cm|mm|%)\b/i;
+
+const toNumber = (s) => (/^\d+$/.test(s) ? Number(s) : NUMBER_WORDS[s.toLowerCase()] || 1);
+
+function parseQuantity(segment) {
+  let text = segment.trim();
+  let quantity = 1;
+  const lead = text.match(LEADING_TIMES);
+  const rest = lead ? text.slice(lead[0].length) : "";
+  const explicitTimes = lead && /×|x|mal/i.test(lead[0].slice(lead[1].length));
+  if (lead && (explicitTimes || (!UNIT_AFTER.test(rest) && !/^\d/.test(rest)))) {
+    quantity = toNumber(lead[1]);
+    text = rest;
+  } else {
+    const trail = text.match(TRAILING_TIMES);
+    if (trail) { quantity = toNumber(trail[1]); text = text.slice(0, trail.index); }
+  }
+  return { text: text.trim(), quantity: Math.max(1, Math.min(quantity, 99)) };
+}
+
+const SEPARATORS = /([,;\n]+|\s+(?:und|sowie|plus)\s+|\s\+\s)/i;
+
+// nur Anzahl und ein Wort („3 Nähte“): gehört als Anzahl zur vorherigen Leistung, wenn es diese nur genauer trifft
+const isCountOnly = (svc) => svc.quantity > 1 && !/\s/.test(svc.text);
+
+// resolve(text) → { key, score } | null (bester Katalogtreffer). Getrennt wird nur, wenn beide Seiten auf
+// verschiedene Leistungen zeigen und die ganze Angabe nicht auf eine dritte mindestens so gut passt.
+function separate(before, seg, resolve) {
+  const a = resolve(before);
+  const b = resolve(seg);
+  if (!a || !b || a.key === b.key) return false;
+  const joined = resolve(`${before} ${seg}`);
+  return !(joined && joined.key !== a.key && joined.key !== b.key && joined.score >= Math.max(a.score, b.score));
+}
+// Anzahl ergänzt die vorherige Leistung, wenn die Angabe zusammen mindestens so gut passt wie die Leistung allein
+function refinesCount(before, seg, resolve) {
+  const a = resolve(before);
+  const joined = resolve(`${before} ${seg}`);
+  return Boolean(a && joined && joined.score >= a.score);
+}
+
+// Präzisierung ersetzt die vage Angabe: „Blutabnahme“ + später „Blutabnahme venös“ → nur die zweite
+const words = (s) => new Set(String(s).toLowerCase().split(/[^a-zäöüß0-9]+/).filter(Boolean));
+function dropRefined(services) {
+  return services.filter((a, i) => {
+    const wa = words(a.text);
+    const refinedBy = services.find((b, j) => j > i && Array.from(wa).every((w) => words(b.text).has(w)));
+    if (refinedBy && refinedBy.quantity === 1) refinedBy.quantity = a.quantity;
+    return !refinedBy;
+  });
+}
+
+// → [{ text, quantity }]; ohne resolve trennt jedes Trennzeichen
+function splitServices(input, { isContext = () => false, isDetail = () => false, resolve = null } = {}) {
+  const services = [];
+  const parts = String(input || "").split(SEPARATORS);
+  for (let i = 0; i < parts.length; i += 2) {
+    const seg = parts[i].trim();
+    if (!seg || isContext(seg)) continue;
+    const prev = services[services.length - 1];
+    if (prev && isDetail(seg)) { prev.text = `${prev.text} ${seg}`; continue; }
+    const svc = parseQuantity(seg);
+    if (!svc.text) continue;
+    if (prev && resolve && isCountOnly(svc) && refinesCount(prev.text, seg, resolve)) {
+      if (prev.quantity === 1) prev.quantity = svc.quantity;
+      continue;
+    }
+    if (prev && resolve && !separate(prev.text, seg, resolve)) {
+      prev.text = `${prev.text}${parts[i - 1]}${seg}`;
+      continue;
+    }
+    services.push(svc);
+  }
+  return dropRefined(services);
+}
+
+module.exports = { splitServices, parseQuantity };
@@ -0,0 +1,134 @@
+// lib/slotEngine.js
+// Rückfragen aus einem deklarativen Slot-Modell (scripts/rules/slots.json) statt fest verdrahteter if-Ketten.
+// Je Leistungsfamilie (Gespräch, Blutabnahme, Harn, EKG …): Auslösewörter und Slots mit Antwortoptionen.
+// Ein Slot gilt als gefüllt, wenn eine Option (oder ein filledBy-Wort) im Text vorkommt – beantwortete
+// Rückfragen hängt der Server an die Eingabe an. Fehlende Slots werden gemeinsam abgefragt.
+//
+// Wörter werden mit norm() aus lib/textNorm.js normalisiert (ä → ae, Kleinbuchstaben) und als ganze Wörter gesucht;
+// „*“ am Anfang/Ende erlaubt beliebige Vor-/Nachsilben („angehoerig*“ trifft „angehoerigengespraech“).
+
+const { ask } = require("./billingResult");
+const { norm: normalize } = require("./textNorm");
+
+const isStr = (x) => typeof x === "string";
+const isStrArray = (x) => Array.isArray(x) && x.every(isStr);
+
+// --- Schema (für lib/catalogData.js) ---
+function checkSlotModel(j) {
+  if (!j || typeof j !== "object" || Array.isArray(j)) return ["slots.json: Objekt { families, detailOnly, serviceWords } erwartet"];
+  if (!Array.isArray(j.families)) return ["slots.json: families muss ein Array sein"];
+  const problems = [];
+  const questionIds = new Set();
+  j.families.forEach((f, i) => {
+    const where = `slots.json: families[${i}]${f?.id ? ` (${f.id})` : ""}`;
+    if (!f || typeof f !== "object") { problems.push(`${where}: Objekt erwartet`); return; }
+    if (!isStr(f.id) || !f.id) problems.push(`${where}: id fehlt`);
+    if (!isStrArray(f.match) || !f.match.length) problems.push(`${where}: match muss eine nicht-leere Textliste sein`);
+    if (!Array.isArray(f.slots)) { problems.push(`${where}: slots muss ein Array sein`); return; }
+    f.slots.forEach((s, k) => {
+      const at = `${where}.slots[${k}]`;
+      if (!s || typeof s !== "object") { problems.push(`${at}: Objekt erwartet`); return; }
+      if (!isStr(s.id) || !s.id) problems.push(`${at}: id (Rückfrage-ID) fehlt`);
+      else if (questionIds.has(s.id)) problems.push(`${at}: id „${s.id}“ doppelt`);
+      questionIds.add(s.id);
+      if (!isStr(s.slot) || !s.slot) problems.push(`${at}: slot fehlt`);
+      if (!isStr(s.question) || !s.question) problems.push(`${at}: question fehlt`);
+      if (s.filledBy !== undefined && !isStrArray(s.filledBy)) problems.push(`${at}: filledBy muss eine Textliste sein`);
+      if (!Array.isArray(s.options) || !s.options.length) { problems.push(`${at}: options fehlen`); return; }
+      s.options.forEach((o, m) => {
+        if (!o || !isStr(o.id) || !isStr(o.value) || !isStr(o.label) || !isStrArray(o.match)) {
+          problems.push(`${at}.options[${m}]: { id, value, label, match[] } erwartet`);
+        }
+      });
+    });
+  });
+  const d = j.detailOnly;
+  if (d !== undefined && !(d && isStrArray(d.match) && isStr(d.question) && isStrArray(d.options || []))) {
+    problems.push("slots.json: detailOnly muss { match[], question, options[] } sein");
+  }
+  if (j.serviceWords !== undefined && !isStrArray(j.serviceWords)) problems.push("slots.json: serviceWords muss eine Textliste sein");
+  return problems;
+}
+
+// --- Wortsuche (kompilierte Muster je Modell zwischengespeichert) ---
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+function termPattern(term) {
+  const t = String(term).trim();
+  const body = escape(normalize(t.replace(/^\*|\*$/g, "")));
+  return `${t.startsWith("*") ? "\\w*" : "\\b"}${body}${t.endsWith("*") ? "\\w*" : "\\b"}`;
+}
+const cache = new WeakMap();
+function compiled(model) {
+  if (!model) return { families: [], detail: null, service: null };
+  if (cache.has(model)) return cache.get(model);
+  const re = (terms) => (terms && terms.length ? new RegExp(terms.map(termPattern).join("|")) : null);
+  const out = {
+    families: (model.families || []).map((f) => ({
+      ...f,
+      re: re(f.match),
+      slots: f.slots.map((s) => ({ ...s, filledRe: re(s.filledBy), options: s.options.map((o) => ({ ...o, re: re(o.match) })) }))
+    })),
+    detail: re(model.detailOnly?.match),
+    service: re(model.serviceWords)
+  };
+  cache.set(model, out);
+  return out;
+}
+const allSlots = (model) => compiled(model).families.flatMap((f) => f.slots.map((s) => ({ ...s, family: f.id })));
+
+// Familien, die der Text anspricht
+function familiesIn(text, model) {
+  const n = normalize(text);
+  return compiled(model).families.filter((f) => f.re && f.re.test(n));
+}
+
+// gewählte Option eines Slots im Text (erste passende) → Option | null
+function optionIn(text, slotName, model) {
+  const n = normalize(text);
+  const slot = allSlots(model).find((s) => s.slot === slotName);
+  return slot?.options.find((o) => o.re && o.re.test(n)) || null;
+}
+
+// Rückfragen für alle fehlenden Slots der angesprochenen Familien
+function missingQuestions(text, model) {
+  const n = normalize(text);
+  const questions = [];
+  for (const f of familiesIn(text, model)) {
+    for (const s of f.slots) {
+      if (s.options.some((o) => o.re && o.re.test(n)) || (s.filledRe && s.filledRe.test(n))) continue;
+      questions.push(ask(s.id, s.question, s.options.map(({ value, label }) => ({ value, label }))));
+    }
+  }
+  return questions;
+}
+
+// Antwort (Freitext oder Optionswert/-text) auf eine Rückfrage → Optionswert | null
+function parseAnswer(questionId, text, model) {
+  const slot = allSlots(model).find((s) => s.id === questionId);
+  if (!slot) return null;
+  const n = normalize(text);
+  const same = (a) => normalize(a) === n;
+  const o = slot.options.find((x) => same(x.value) || same(x.label)) || slot.options.find((x) => x.re && x.re.test(n));
+  return o ? o.value : null;
+}
+
+// Rückfrage-ID → Slot-Name (z. B. blood_draw → bloodDraw) | null
+function slotNameFor(questionId, model) {
+  return allSlots(model).find((s) => s.id === questionId)?.slot || null;
+}
+
+// Nur eine Angabe zu einer Leistung (z. B. „25 Minuten“), aber keine Leistung selbst
+function isDetailOnly(text, model) {
+  const n = normalize(text);
+  const c = compiled(model);
+  if (!c.detail || !c.detail.test(n)) return false;
+  return !familiesIn(text, model).length && !(c.service && c.service.test(n));
+}
+function detailQuestion(model) {
+  const d = model?.detailOnly;
+  return d ? ask("service", d.question, d.options || []) : null;
+}
+
+module.exports = {
+  checkSlotModel, familiesIn, optionIn, missingQuestions, parseAnswer, slotNameFor, isDetailOnly, detailQuestion
+};
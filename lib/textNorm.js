@@ -0,0 +1,21 @@
+// lib/textNorm.js
+// Gemeinsame Textnormalisierung für Suche, Slot-Modell und Leistungstexte:
+// Kleinbuchstaben, Umlaute ausgeschrieben (ä → ae, ß → ss), Akzente entfernt.
+
+// nur Buchstaben vereinheitlichen, Satzzeichen bleiben (für Datums- und Klammerangaben)
+function foldUmlauts(s = "") {
+  return String(s)
+    .toLowerCase()
+    .replace(/ä/g, "ae").replace(/ö/g, "oe").replace(/ü/g, "ue").replace(/ß/g, "ss")
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+}
+
+// Vergleichsform: zusätzlich Satzzeichen → Leerzeichen, Leerraum zusammengefasst
+function norm(s = "") {
+  return foldUmlauts(s)
+    .replace(/[^\w\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+module.exports = { foldUmlauts, norm };
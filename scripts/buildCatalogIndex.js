@@ -1,117 +1,192 @@
 // scripts/buildCatalogIndex.js
 // Baut einen kombinierten JSON-Index aus allen PDFs in ./catalogs
-// Ausgabe: ./catalogs/index.json  (items: [{ payer,pos,title,points,notes,source }])
+// Zuordnung Datei → Träger kommt aus ./catalogs/manifest.json (kein Raten am Dateinamen)
+// Inkrementell: Parse-Ergebnisse liegen je PDF (SHA-256) in ./catalogs/.cache, nur geänderte Dateien werden neu gelesen
+// Ausgabe: ./catalogs/index.json  (version, parser, sources: [{ …, sha256 }], items: [{ payer,region,pos,title,points,amount,specialties,syn,
+//          notes,remarks,source,page,snippet,version,validFrom,validTo,lookup }])
+// page ist die Seite im Quell-PDF (1-basiert), snippet der Originaltext des Eintrags (gekürzt) zum Nachlesen
+// amount = { value, unit: "P" | "€", klasse: "I" | "II" | null }, points ist die Anzeigeform davon („5/II“, „€ 14,13“)
+// lookup: "default" oder "explicit" (Praxisexporte ohne Landesstelle/Gültigkeit, nur auf ausdrückliche Anfrage)
 
 const fs = require("fs");
 const path = require("path");
-const pdf = require("pdf-parse");
+const crypto = require("crypto");
+const { extractTable, formatAmount } = require("../lib/pdfTable");
+const { getProfile, PROFILES } = require("../lib/catalogProfiles");
+const { sourceCoverage, sampleChecks, dedupe, compareCoverage } = require("../lib/ingestReport");
+const { buildEmbeddings } = require("./buildEmbeddings");
 
 const CATALOG_DIR = path.join(__dirname, "..", "catalogs");
 const OUT_FILE = path.join(CATALOG_DIR, "index.json");
+const MANIFEST_FILE = path.join(CATALOG_DIR, "manifest.json");
+const CACHE_DIR = path.join(CATALOG_DIR, ".cache");
 
-// --- Utils ---
-function guessPayer(filename) {
-  const fn = filename.toLowerCase();
-  // ÖGK (auch Landes-Varianten)
-  if (/(oegk|ögk|oe-gk|ö\s*g\s*k|gesundheitskasse|gesamtvertrag|honorarkatalog)/i.test(fn)) return "ÖGK";
-  // BVAEB
-  if (/bvaeb/i.test(fn)) return "BVAEB";
-  // SVS
-  if (/\bsvs\b|sozialversicherungsanstalt/i.test(fn)) return "SVS";
-  // KUF Tirol/Kärnten usw.
-  if (/\bkuf\b|kaernten|kärnten|tirol/i.test(fn)) return "KUF";
-  return "UNBEKANNT";
-}
+// Aufruf: node scripts/buildCatalogIndex.js [--report=<datei>] [--check] [--max-drop=<prozent>] [--no-cache]
+//   --report    Ingestion-Report (Standard: catalogs/ingest-report.json)
+//   --check     Schwellwert-Modus: Abbruch mit Exit-Code 2, wenn Quellen gegenüber dem bisherigen index.json
+//               mehr als --max-drop Prozent (Standard 0) ihrer Einträge verlieren oder Stichproben („samples“ im
+//               Manifest) nicht mehr stimmen; index.json bleibt dann unverändert
+//   --no-cache  alle PDFs neu lesen (Cache wird dabei neu geschrieben)
+//   --embeddings  danach catalogs/embeddings.json passend zum neuen Index bauen (scripts/buildEmbeddings.js, EMBEDDING_*);
+//               scheitert das (z. B. Embedding-Server nicht erreichbar), bleibt index.json gültig und die Vektorsuche aus
+const args = process.argv.slice(2);
+const arg = (name) => {
+  const a = args.find((x) => x === `--${name}` || x.startsWith(`--${name}=`));
+  return a === undefined ? undefined : a.includes("=") ? a.slice(a.indexOf("=") + 1) : true;
+};
+const REPORT_FILE = typeof arg("report") === "string" ? path.resolve(arg("report")) : path.join(CATALOG_DIR, "ingest-report.json");
+const CHECK = Boolean(arg("check"));
+const MAX_DROP = Number(arg("max-drop") ?? 0);
+const USE_CACHE = !arg("no-cache");
+const EMBEDDINGS = Boolean(arg("embeddings"));
+
+// --- Hashes & Cache ---
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
 
-const SOFT_HYPHEN = /\u00AD/g;
-const WHITE = /\s+/g;
+// Parser-Stand: ändert sich der Extraktionscode oder ein Profil, sind alle Cache-Einträge veraltet
+const PARSER_HASH = sha256(["pdfTable.js", "catalogProfiles.js"]
+  .map((f) => fs.readFileSync(path.join(__dirname, "..", "lib", f), "utf8"))
+  .join("\n")).slice(0, 16);
 
-// Punkte-/€-Muster (z. B. "5/II", "2/I", "20 P", "12,5", "12.5", "€ 14,30")
-const POINTS_OR_EUR = /\d+\s*\/\s*[IVX]+|\d+\s*P|€\s*\d+[.,]?\d*|\d+[.,]?\d*/i;
+const cacheFile = (hash) => path.join(CACHE_DIR, `${hash}.json`);
+function readCache(hash, profile) {
+  if (!USE_CACHE) return null;
+  try {
+    const c = JSON.parse(fs.readFileSync(cacheFile(hash), "utf8"));
+    return c.parser === PARSER_HASH && c.profile === profile ? c.table : null;
+  } catch { return null; }
+}
+function writeCache(hash, profile, table) {
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  fs.writeFileSync(cacheFile(hash), JSON.stringify({ parser: PARSER_HASH, profile, table }), "utf8");
+}
+// Cache-Dateien zu nicht mehr vorhandenen PDF-Ständen entfernen
+function pruneCache(keep) {
+  if (!fs.existsSync(CACHE_DIR)) return;
+  for (const f of fs.readdirSync(CACHE_DIR)) {
+    if (f.endsWith(".json") && !keep.has(f.slice(0, -5))) fs.unlinkSync(path.join(CACHE_DIR, f));
+  }
+}
 
-// erlaubte Nummernformen: 12, 54, 300, 11a, 12c, 178v
-const CODE_START = /^\s*(\d{1,4}[a-z]?)(?=\s)/i;
+// Indexversion: Hash über alle Eingaben (PDF-Hashes, Manifest-Felder, Parser-Stand)
+function indexVersion(sources) {
+  const basis = sources.map((s) => [s.file, s.sha256, s.payer, s.region, s.validFrom, s.validTo, s.version, s.profile, s.skipPages, s.lookup]);
+  return sha256(JSON.stringify({ parser: PARSER_HASH, sources: basis })).slice(0, 16);
+}
 
-// Regex-Kandidaten (mit optionaler Spalte wie "AL" vor den Punkten)
-const lineRegexes = [
-  // z.B. "12c Demenzpatienten – Angehörigengespräch AL 5/II"
-  /^\s*(\d{1,4}[a-z]?)\s+(.+?)\s+(?:[A-ZÄÖÜ]{1,3}\s+)?(\d+\s*\/\s*[IVX]+|\d+\s*P|€\s*\d+[.,]?\d*|\d+[.,]?\d*)\s*$/,
-  // z.B. "56 Intramuskuläre Injektion 2/I ..." (ohne Zusatzspalte)
-  /^\s*(\d{1,4}[a-z]?)\s+(.+?)\s+(\d+\s*\/\s*[IVX]+|\d+\s*P|€\s*\d+[.,]?\d*|\d+[.,]?\d*)\b.*$/,
-  // z.B. "11a Subcutane Injektion 2"
-  /^\s*(\d{1,3}[a-z])\s+(.+?)\s+(\d+[.,]?\d*)\s*$/
-];
+// --- Manifest ---
+// Dateinamen NFC-normalisieren (macOS liefert „HK ÖGK.pdf“ gern zerlegt als O + ¨)
+const fileKey = (f) => String(f).normalize("NFC");
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const LOOKUPS = ["default", "explicit"];
 
-// --- PDF -> Einträge ---
-async function parsePdf(filePath) {
-  const buf = fs.readFileSync(filePath);
-  const data = await pdf(buf);
-  const payer = guessPayer(path.basename(filePath));
-
-  const entries = [];
-  const rawLines = (data.text || "")
-    .split(/\r?\n/)
-    .map(s => s.replace(SOFT_HYPHEN, "").trim())
-    .filter(Boolean);
-
-  // über die Zeilen laufen; nur Zeilen, die mit Code beginnen, starten einen Eintrag
-  for (let i = 0; i < rawLines.length; i++) {
-    let line = rawLines[i].replace(WHITE, " ");
-
-    if (!CODE_START.test(line)) continue;
-
-    // Umbrüche „Ange- / hörigengespräch“ etc. zusammenkleben (max. 2 Folgezeilen)
-    let glued = line.replace(/[-–]\s*$/, ""); // Zeilenend-Bindestrich entfernen
-    let j = i + 1;
-
-    // solange keine Punkte/€ erkennbar, Folgelinien anhängen
-    while (j < rawLines.length && (j <= i + 2) && !POINTS_OR_EUR.test(glued)) {
-      const next = rawLines[j].replace(WHITE, " ").replace(/[-–]\s*$/, "");
-      // wenn nächste Zeile bereits mit neuem Code beginnt → nicht anhängen
-      if (CODE_START.test(next)) break;
-      glued = (glued + " " + next).replace(WHITE, " ").trim();
-      j++;
-    }
+function loadManifest() {
+  if (!fs.existsSync(MANIFEST_FILE)) throw new Error(`Manifest fehlt: ${MANIFEST_FILE}`);
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, "utf8"));
+  const payers = new Set(manifest.payers || []);
+  const sources = new Map();
+  const problems = [];
 
-    // gegen alle Linien-Regex matchen
-    let matched = false;
-    for (const rx of lineRegexes) {
-      const m = glued.match(rx);
-      if (!m) continue;
-
-      const pos = (m[1] || "").trim();
-      const title = (m[2] || "").trim();
-      const points = (m[3] || "").trim();
-
-      if (pos && title && title.length > 3) {
-        entries.push({
-          payer,
-          pos,
-          title,
-          points,
-          notes: "",
-          source: path.basename(filePath)
-        });
-        matched = true;
+  for (const [name, entry] of Object.entries(manifest.sources || {})) {
+    const key = fileKey(name);
+    if (sources.has(key)) { problems.push(`${name}: mehrfach im Manifest`); continue; }
+    if (!entry.skip) {
+      if (!entry.payer) problems.push(`${name}: kein Träger (payer) angegeben`);
+      else if (!payers.has(entry.payer)) problems.push(`${name}: unbekannter Träger „${entry.payer}“`);
+      if (!entry.profile) problems.push(`${name}: kein Parser-Profil (profile) angegeben`);
+      else if (!PROFILES[entry.profile]) problems.push(`${name}: unbekanntes Parser-Profil „${entry.profile}“`);
+      if (!entry.version) problems.push(`${name}: keine Tarifversion (version) angegeben`);
+      for (const k of ["validFrom", "validTo"]) {
+        if (entry[k] && !ISO_DATE.test(entry[k])) problems.push(`${name}: ${k} muss JJJJ-MM-TT sein („${entry[k]}“)`);
       }
-      break;
-    }
-
-    // nachfolgende Hinweiszeile mit einsammeln
-    if (matched && j < rawLines.length) {
-      const hint = rawLines[j].replace(WHITE, " ");
-      if (/nicht verrechenbar|nur einmal|höchstens|limitiert|dokumentier|Hinweis/i.test(hint)) {
-        entries[entries.length - 1].notes = hint;
-        i = j; // Hinweiszeile als „verbraucht“ markieren
-      } else {
-        i = j - 1; // bis zur letzten verklebten Zeile vorspulen
+      if (entry.validFrom && entry.validTo && entry.validFrom > entry.validTo) {
+        problems.push(`${name}: validFrom liegt nach validTo`);
+      }
+      if (entry.lookup && !LOOKUPS.includes(entry.lookup)) {
+        problems.push(`${name}: lookup muss ${LOOKUPS.join(" oder ")} sein („${entry.lookup}“)`);
+      }
+      for (const [i, sample] of (entry.samples || []).entries()) {
+        if (!sample || !sample.pos || typeof sample.title !== "string" || (sample.page !== undefined && !Number.isInteger(sample.page))) {
+          problems.push(`${name}: samples[${i}] braucht pos und title (page als Zahl, optional points)`);
+        }
+      }
+      for (const range of entry.skipPages || []) {
+        if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isInteger) || range[0] > range[1]) {
+          problems.push(`${name}: skipPages erwartet Seitenbereiche [von, bis] (${JSON.stringify(range)})`);
+        }
       }
-    } else if (matched) {
-      i = j - 1;
     }
+    sources.set(key, { file: name, ...entry });
+  }
+  return { sources, problems };
+}
+
+// Jede PDF muss genau einem Manifest-Eintrag zugeordnet sein, sonst Abbruch
+function resolveSources(pdfs, manifest) {
+  const problems = [...manifest.problems];
+  const resolved = [];
+  for (const f of pdfs) {
+    const entry = manifest.sources.get(fileKey(f));
+    if (!entry) { problems.push(`${f}: nicht im Manifest`); continue; }
+    resolved.push({ ...entry, file: f });
+  }
+  const present = new Set(pdfs.map(fileKey));
+  for (const [key, entry] of manifest.sources) {
+    if (!present.has(key)) console.warn(`Manifest-Eintrag ohne Datei: ${entry.file}`);
+  }
+  return { resolved, problems };
+}
+
+// --- PDF -> Einträge ---
+// Tabellen werden layoutbasiert gelesen (lib/pdfTable.js); Spalten- und Codeformate je Katalogfamilie
+// stehen im Parser-Profil (lib/catalogProfiles.js), das Profil pro Quelle im Manifest
+const NOTE_HINT = /nicht verrechenbar|nur einmal|höchstens|limitiert|dokumentier|Hinweis/i;
+
+// kurzer Hinweis für die Tabellenspalte „Notes“: erster Satz der Anmerkung mit Abrechnungsregel
+function noteFromRemarks(remarks) {
+  const sentences = String(remarks || "").split(/(?<=[.;])\s+/);
+  return sentences.find((s) => NOTE_HINT.test(s)) || "";
+}
+
+// Seitenbereiche ohne Tarifpositionen (skipPages im Manifest, z. B. Anhänge mit Richtlinien-Nummern) verwerfen;
+// der Cache enthält immer die ganze PDF
+function withoutSkippedPages(table, skipPages) {
+  if (!skipPages || !skipPages.length) return table;
+  const keep = (e) => !skipPages.some(([from, to]) => e.page >= from && e.page <= to);
+  return { ...table, entries: table.entries.filter(keep), incomplete: table.incomplete.filter(keep) };
+}
+
+async function parsePdf(filePath, source) {
+  const buf = fs.readFileSync(filePath);
+  const hash = sha256(buf);
+  let table = readCache(hash, source.profile);
+  const cached = Boolean(table);
+  if (!table) {
+    table = await extractTable(buf, getProfile(source.profile));
+    writeCache(hash, source.profile, table);
   }
+  table = withoutSkippedPages(table, source.skipPages);
 
-  return entries;
+  const items = table.entries.map((e) => ({
+    payer: source.payer,
+    region: source.region || null,
+    pos: e.pos,
+    title: e.title,
+    points: formatAmount(e.amount),
+    amount: e.amount,
+    specialties: e.specialties,
+    syn: e.syn,
+    notes: noteFromRemarks(e.remarks),
+    remarks: e.remarks,
+    source: path.basename(filePath),
+    page: e.page,
+    snippet: e.snippet,
+    version: source.version || null,
+    validFrom: source.validFrom || null,
+    validTo: source.validTo || null,
+    lookup: source.lookup || "default"
+  }));
+  return { items, coverage: sourceCoverage(table), samples: sampleChecks(items, source.samples), sha256: hash, cached };
 }
 
 // --- Main ---
@@ -122,29 +197,136 @@ async function parsePdf(filePath) {
     process.exit(1);
   }
 
+  const { resolved, problems } = resolveSources(pdfs, loadManifest());
+  if (problems.length) {
+    console.error("Manifest unvollständig oder mehrdeutig (catalogs/manifest.json):");
+    for (const p of problems) console.error("  ✗", p);
+    process.exit(1);
+  }
+
+  if (!Number.isFinite(MAX_DROP) || MAX_DROP < 0) {
+    console.error("--max-drop muss eine Prozentzahl ≥ 0 sein");
+    process.exit(1);
+  }
+  const previous = fs.existsSync(OUT_FILE) ? JSON.parse(fs.readFileSync(OUT_FILE, "utf8")) : null;
+
   const all = [];
-  for (const f of pdfs) {
-    const filePath = path.join(CATALOG_DIR, f);
-    console.log("→ Lese", f);
+  const sources = [];
+  const reportSources = [];
+  for (const src of resolved) {
+    if (src.skip) {
+      console.log("↷ Überspringe", src.file, "—", src.reason || "laut Manifest");
+      reportSources.push({ file: src.file, status: "skipped", reason: src.reason || null, items: 0 });
+      continue;
+    }
+    const filePath = path.join(CATALOG_DIR, src.file);
+    let items = [];
+    let coverage = null;
+    let samples = null;
+    let error = null;
+    let hash = null;
     try {
-      const items = await parsePdf(filePath);
+      let cached;
+      ({ items, coverage, samples, sha256: hash, cached } = await parsePdf(filePath, src));
+      console.log(cached ? "= Cache" : "→ Lese", src.file, `(${src.payer})`);
       all.push(...items);
     } catch (e) {
-      console.warn("Fehler beim Lesen:", f, e.message);
+      error = e.message;
+      console.warn("Fehler beim Lesen:", src.file, e.message);
     }
+    reportSources.push({
+      file: src.file,
+      payer: src.payer,
+      version: src.version,
+      profile: src.profile,
+      status: error ? "error" : "ok",
+      error,
+      sha256: hash,
+      items: items.length,
+      ...coverage,
+      ...(samples?.checked ? { samples } : {})
+    });
+    sources.push({
+      file: src.file,
+      payer: src.payer,
+      region: src.region || null,
+      validFrom: src.validFrom || null,
+      validTo: src.validTo || null,
+      version: src.version || null,
+      profile: src.profile,
+      lookup: src.lookup || "default",
+      sha256: hash,
+      items: items.length,
+      incomplete: coverage ? coverage.unmatched.length : 0
+    });
   }
 
-  // Deduplizieren nach payer+pos (letzter gewinnt, i.d.R. mit Notes)
-  const map = new Map();
-  for (const e of all) map.set(`${e.payer}::${e.pos}`, e);
-  const out = Array.from(map.values()).sort((a, b) =>
+  // Deduplizieren nach payer+version+pos (innerhalb einer Tarifversion gewinnt der letzte, i.d.R. mit Notes);
+  // verschiedene Versionen bleiben nebeneinander stehen, die Auswahl trifft der Server per Leistungsdatum
+  const { items: deduped, collisions } = dedupe(all);
+  const out = deduped.sort((a, b) =>
     (a.payer + String(a.pos)).localeCompare(b.payer + String(b.pos))
   );
 
+  const generatedAt = new Date().toISOString();
+  const version = indexVersion(sources);
+  pruneCache(new Set(sources.map((s) => s.sha256).filter(Boolean)));
+  const regressions = compareCoverage(previous, reportSources, out.length, MAX_DROP);
+  const sampleFailures = reportSources.flatMap((s) => (s.samples?.failed || []).map((f) =>
+    `${s.file}: Pos. ${f.pos}${f.page ? ` (S. ${f.page})` : ""} – erwartet „${f.expected.title}“${f.expected.points ? ` ${f.expected.points}` : ""}, gelesen ${f.got ? `„${f.got.title}“ ${f.got.points}` : "nichts"}`));
+  fs.writeFileSync(REPORT_FILE, JSON.stringify({
+    generatedAt,
+    version,
+    totals: {
+      items: out.length,
+      sources: reportSources.filter((s) => s.status === "ok").length,
+      skipped: reportSources.filter((s) => s.status === "skipped").length,
+      errors: reportSources.filter((s) => s.status === "error").length,
+      unmatched: reportSources.reduce((n, s) => n + (s.unmatched ? s.unmatched.length : 0), 0),
+      suspicious: reportSources.reduce((n, s) => n + (s.suspicious ? s.suspicious.length : 0), 0),
+      collisions: collisions.length,
+      samples: reportSources.reduce((n, s) => n + (s.samples ? s.samples.checked : 0), 0),
+      sampleFailures: sampleFailures.length
+    },
+    previous: previous ? { version: previous.version || null, generatedAt: previous.generatedAt || null, items: (previous.items || []).length } : null,
+    regressions,
+    sampleFailures,
+    sources: reportSources,
+    collisions
+  }, null, 2), "utf8");
+  console.log(`Ingestion-Report: ${path.relative(process.cwd(), REPORT_FILE)}`);
+
+  if (CHECK && (regressions.length || sampleFailures.length)) {
+    if (regressions.length) console.error(`\nAbdeckung gegenüber dem bisherigen Index gesunken (erlaubt: ${MAX_DROP} %), index.json bleibt unverändert:`);
+    for (const r of regressions) console.error("  ✗", r);
+    if (sampleFailures.length) console.error("\nStichproben laut Manifest weichen ab, index.json bleibt unverändert:");
+    for (const f of sampleFailures) console.error("  ✗", f);
+    process.exit(2);
+  }
+
   fs.writeFileSync(OUT_FILE, JSON.stringify({
-    generatedAt: new Date().toISOString(),
+    version,
+    generatedAt,
+    parser: PARSER_HASH,
+    sources,
     items: out
   }, null, 2), "utf8");
 
-  console.log(`✓ ${out.length} Positionen nach ${path.relative(process.cwd(), OUT_FILE)} geschrieben`);
+  // Träger je Quelle berichten
+  console.log("\nQuelle → Träger (Einträge / Blöcke ohne Betrag):");
+  for (const s of sources) {
+    console.log(`  ${s.payer.padEnd(8)} ${String(s.items).padStart(4)} / ${String(s.incomplete).padStart(3)}  ${s.file}${s.region ? ` [${s.region}]` : ""}`);
+  }
+  for (const r of regressions) console.warn("  ! weniger Einträge als zuvor:", r);
+  for (const f of sampleFailures) console.warn("  ! Stichprobe weicht ab:", f);
+  if (collisions.length) console.log(`  ${collisions.length} doppelte Positionsnummern (letzter Eintrag gewinnt, siehe Report)`);
+  console.log(`✓ ${out.length} Positionen nach ${path.relative(process.cwd(), OUT_FILE)} geschrieben (Version ${version})`);
+
+  if (EMBEDDINGS) {
+    try {
+      await buildEmbeddings();
+    } catch (e) {
+      console.warn(`! Embeddings nicht gebaut (${e.message}) – der Server sucht bis zum nächsten Lauf nur per Text`);
+    }
+  }
 })();
\ No newline at end of file
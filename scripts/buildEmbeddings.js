@@ -0,0 +1,63 @@
+// scripts/buildEmbeddings.js
+// Baut catalogs/embeddings.json (Vektorindex für die semantische Kandidatensuche, siehe lib/embeddings.js) zu index.json.
+// Läuft auch am Ende von scripts/buildCatalogIndex.js --embeddings; einzeln z. B. nach einem Modellwechsel.
+// Unveränderte Positionstexte übernehmen ihre Vektoren aus der bisherigen Datei (gleiches Modell vorausgesetzt).
+//
+// Aufruf: node scripts/buildEmbeddings.js [--provider=local|openai|ngram] [--model=<name>] [--batch=<n>] [--full]
+//   --provider/--model  überschreiben EMBEDDING_PROVIDER/EMBEDDING_MODEL
+//   --batch             Texte je Anfrage an den Embedding-Server (Standard 64)
+//   --full              alle Vektoren neu berechnen
+// Beispiel lokal mit Ollama: ollama pull bge-m3 && node scripts/buildEmbeddings.js
+
+const fs = require("fs");
+const path = require("path");
+const { createEmbedder, embedCatalog } = require("../lib/embeddings");
+
+const CATALOG_DIR = path.join(__dirname, "..", "catalogs");
+const INDEX_FILE = path.join(CATALOG_DIR, "index.json");
+const OUT_FILE = path.join(CATALOG_DIR, "embeddings.json");
+
+async function buildEmbeddings({ provider, model, batchSize = 64, full = false } = {}) {
+  const index = JSON.parse(fs.readFileSync(INDEX_FILE, "utf8"));
+  const env = { ...process.env, ...(provider ? { EMBEDDING_PROVIDER: provider } : {}), ...(model ? { EMBEDDING_MODEL: model } : {}) };
+  const embedder = createEmbedder(env);
+  const previous = !full && fs.existsSync(OUT_FILE) ? JSON.parse(fs.readFileSync(OUT_FILE, "utf8")) : null;
+  console.log(`Embeddings: ${index.items.length} Positionen, ${embedder.name} / ${embedder.model}`);
+  let shown = 0;
+  const out = await embedCatalog(index, embedder, {
+    previous,
+    batchSize,
+    onProgress: (done, total) => {
+      if (done === total || done - shown >= 512) { shown = done; console.log(`  ${done}/${total} neu berechnet`); }
+    }
+  });
+  // erst vollständig schreiben, dann umbenennen – der Server beobachtet das Verzeichnis
+  fs.writeFileSync(`${OUT_FILE}.tmp`, JSON.stringify(out), "utf8");
+  fs.renameSync(`${OUT_FILE}.tmp`, OUT_FILE);
+  console.log(`✓ ${path.relative(process.cwd(), OUT_FILE)} geschrieben (${out.dims} Dimensionen, ${out.reused} übernommen, Katalog ${out.indexVersion})`);
+  return out;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const arg = (name) => {
+    const a = args.find((x) => x === `--${name}` || x.startsWith(`--${name}=`));
+    return a === undefined ? undefined : a.includes("=") ? a.slice(a.indexOf("=") + 1) : true;
+  };
+  const batchSize = Number(arg("batch") ?? 64);
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    console.error("--batch muss eine ganze Zahl ≥ 1 sein");
+    process.exit(1);
+  }
+  buildEmbeddings({
+    provider: typeof arg("provider") === "string" ? arg("provider") : undefined,
+    model: typeof arg("model") === "string" ? arg("model") : undefined,
+    batchSize,
+    full: Boolean(arg("full"))
+  }).catch((e) => {
+    console.error("Embeddings nicht gebaut:", e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildEmbeddings };
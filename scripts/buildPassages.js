@@ -0,0 +1,72 @@
+// scripts/buildPassages.js
+// Baut catalogs/passages.json: Absätze aller PDFs in ./catalogs mit Datei und Seite – der lokale Ersatz für den
+// OpenAI Vector Store aus scripts/uploadCatalogs.js (RETRIEVAL_PROVIDER=local, siehe lib/retrieval.js).
+// Dieselben Dateien wie beim Upload, damit Fundstellen in beiden Fällen auf dieselben PDFs zeigen.
+//
+// Aufruf: node scripts/buildPassages.js
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pageParagraphs } = require("../lib/pdfTable");
+const { FORMAT_VERSION } = require("../lib/retrieval");
+
+const CATALOG_DIR = path.join(__dirname, "..", "catalogs");
+const OUT_FILE = path.join(CATALOG_DIR, "passages.json");
+// kurze Absätze (Überschriften, einzelne Tabellenzeilen) werden mit dem nächsten derselben Seite verbunden,
+// lange an Satzgrenzen geteilt
+const MIN_CHARS = 200;
+const MAX_CHARS = 1200;
+
+function splitLong(text) {
+  if (text.length <= MAX_CHARS) return [text];
+  const out = [];
+  let cur = "";
+  for (const s of text.split(/(?<=[.;:])\s+/)) {
+    if (cur && cur.length + s.length + 1 > MAX_CHARS) { out.push(cur); cur = ""; }
+    cur = cur ? `${cur} ${s}` : s;
+  }
+  if (cur) out.push(cur);
+  return out.flatMap((t) => (t.length > MAX_CHARS * 1.5 ? t.match(new RegExp(`.{1,${MAX_CHARS}}(\\s|$)`, "g")).map((x) => x.trim()) : [t]));
+}
+
+function toPassages(file, paragraphs) {
+  const out = [];
+  let pending = null;
+  for (const p of paragraphs) {
+    const merged = pending && pending.page === p.page ? { page: p.page, text: `${pending.text} ${p.text}` } : p;
+    if (pending && pending.page !== p.page) out.push(pending);
+    pending = null;
+    if (merged.text.length < MIN_CHARS) { pending = merged; continue; }
+    for (const text of splitLong(merged.text)) out.push({ page: merged.page, text });
+  }
+  if (pending) out.push(pending);
+  return out.map((p) => ({ file, page: p.page, text: p.text }));
+}
+
+async function buildPassages() {
+  const pdfs = fs.readdirSync(CATALOG_DIR).filter((f) => f.toLowerCase().endsWith(".pdf")).sort();
+  const files = {};
+  const passages = [];
+  for (const file of pdfs) {
+    const buf = fs.readFileSync(path.join(CATALOG_DIR, file));
+    const list = toPassages(file, await pageParagraphs(buf));
+    files[file] = crypto.createHash("sha256").update(buf).digest("hex");
+    passages.push(...list);
+    console.log(`→ ${file}: ${list.length} Absätze`);
+  }
+  const out = { format: FORMAT_VERSION, createdAt: new Date().toISOString(), files, passages };
+  fs.writeFileSync(`${OUT_FILE}.tmp`, JSON.stringify(out), "utf8");
+  fs.renameSync(`${OUT_FILE}.tmp`, OUT_FILE);
+  console.log(`✓ ${path.relative(process.cwd(), OUT_FILE)} geschrieben (${passages.length} Absätze aus ${pdfs.length} PDFs)`);
+  return out;
+}
+
+if (require.main === module) {
+  buildPassages().catch((e) => {
+    console.error("Textstellen nicht gebaut:", e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildPassages };
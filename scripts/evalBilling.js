@@ -0,0 +1,281 @@
+// scripts/evalBilling.js
+// Regressionslauf mit dem Gold-Set (scripts/eval/gold.json): jeder Fall geht durch /api/abrechnen –
+// einmal offline (nur Katalog und Regeln) und einmal mit dem Mock-LLM (scripts/eval/mock-llm.json: je Fall, der
+// das Modell erreicht, eine Aufzeichnung mit „case“ = id; Blutabnahme und Rückfragen laut slots.json brauchen keine).
+// Bewertet werden die vorgeschlagenen Positionen: Precision/Recall je Modus, Träger und Leistungsfamilie,
+// verbotene Positionen („forbid“) und erwartete Rückfragen („question“: Rückfrage-ID oder { offline, mock } je Modus).
+// Der Lauf wird mit dem aufgezeichneten Stand (scripts/eval/last-run.json) verglichen, damit jede Katalog-,
+// Synonym- oder Regeländerung vor dem Deploy ihre Wirkung zeigt.
+//
+// Aufruf: node scripts/evalBilling.js [--mode=offline|mock|both] [--only=<id-präfix>] [--record] [--check]
+//   --mode     Standard: both
+//   --only     nur Fälle, deren id so beginnt
+//   --record   Lauf als neuen Vergleichsstand in last-run.json schreiben (nur ohne --only; sonst bleibt die Datei unverändert)
+//   --check    Exit-Code 1 bei neuen verbotenen Positionen oder wenn Precision/Recall gegenüber dem letzten Lauf sinken
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+const jwt = require("jsonwebtoken");
+
+const ROOT = path.join(__dirname, "..");
+const EVAL_DIR = path.join(__dirname, "eval");
+const GOLD_FILE = path.join(EVAL_DIR, "gold.json");
+const MOCK_FILE = path.join(EVAL_DIR, "mock-llm.json");
+const LAST_RUN_FILE = path.join(EVAL_DIR, "last-run.json");
+
+const args = process.argv.slice(2);
+const arg = (name) => {
+  const a = args.find((x) => x === `--${name}` || x.startsWith(`--${name}=`));
+  return a === undefined ? undefined : a.includes("=") ? a.slice(a.indexOf("=") + 1) : true;
+};
+const MODE = String(arg("mode") || "both");
+const ONLY = typeof arg("only") === "string" ? arg("only") : "";
+const RECORD = Boolean(arg("record"));
+const CHECK = Boolean(arg("check"));
+const MODES = { offline: "offline", mock: "llm" };
+
+// --- Gold-Set ---
+function loadGold() {
+  const gold = JSON.parse(fs.readFileSync(GOLD_FILE, "utf8"));
+  const problems = [];
+  const ids = new Set();
+  for (const [i, c] of (gold.cases || []).entries()) {
+    const where = `gold.json: cases[${i}]${c?.id ? ` (${c.id})` : ""}`;
+    if (!c.id || ids.has(c.id)) problems.push(`${where}: id fehlt oder doppelt`);
+    ids.add(c.id);
+    if (!c.input || !c.payer || !c.family) problems.push(`${where}: input, payer und family sind Pflicht`);
+    if (!Array.isArray(c.expect)) problems.push(`${where}: expect muss eine Liste von Pos.-Nrn. sein`);
+    if (c.forbid !== undefined && !Array.isArray(c.forbid)) problems.push(`${where}: forbid muss eine Liste sein`);
+    if (!c.expect?.length && !c.question) problems.push(`${where}: leeres expect nur zusammen mit question`);
+    if (c.question && typeof c.question !== "string" && !Object.keys(MODES).every((m) => typeof c.question[m] === "string")) {
+      problems.push(`${where}: question muss eine Rückfrage-ID oder { offline, mock } sein`);
+    }
+  }
+  // Aufzeichnungen des Mock-LLM gehören je zu einem Fall
+  for (const [i, r] of JSON.parse(fs.readFileSync(MOCK_FILE, "utf8")).entries()) {
+    if (!ids.has(r.case)) problems.push(`mock-llm.json: [${i}]${r.case ? ` (${r.case})` : ""}: case muss die id eines Falls sein`);
+    if (!r.user) problems.push(`mock-llm.json: [${i}]: user fehlt`);
+  }
+  if (problems.length) {
+    for (const p of problems) console.error("  ✗", p);
+    process.exit(1);
+  }
+  return gold;
+}
+
+// --- Server als Kindprozess (eigener Port, Mock-LLM, Gespräche nur im Speicher) ---
+function startServer(secret) {
+  const port = 4100 + Math.floor(Math.random() * 800);
+  const env = {
+    ...process.env,
+    PORT: String(port),
+    SUPABASE_JWT_SECRET: secret,
+    LLM_PROVIDER: "mock",
+    LLM_MOCK_FILE: MOCK_FILE,
+    LLM_RECORD_FILE: "",
+    BILLING_MODE: "offline",
+    CONVERSATION_STORE: "memory",
+    DATABASE_URL: "",
+    ALLOWED_EMAILS: "",
+    USER_REGIONS: ""
+  };
+  const child = spawn(process.execPath, [path.join(ROOT, "server.js")], { env, stdio: ["ignore", "pipe", "pipe"] });
+  let log = "";
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => { child.kill(); reject(new Error(`Server startet nicht:\n${log}`)); }, 30000);
+    const onData = (d) => {
+      log += d;
+      if (/läuft auf Port/.test(log)) { clearTimeout(timer); resolve({ child, base: `http://127.0.0.1:${port}` }); }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("exit", (code) => { clearTimeout(timer); reject(new Error(`Server beendet (Code ${code}):\n${log}`)); });
+  });
+}
+
+// je Fall und Modus ein eigener Benutzer, damit offene Rückfragen nicht in den nächsten Fall laufen
+async function runCase(base, secret, gold, c, mode) {
+  const token = jwt.sign({ sub: `eval-${mode}-${c.id}`, email: "eval@localhost", role: "authenticated" }, secret);
+  const res = await fetch(`${base}/api/abrechnen`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    body: JSON.stringify({
+      prompt: c.input,
+      payer: c.payer,
+      region: c.region || undefined,
+      serviceDate: c.serviceDate || gold.serviceDate || undefined,
+      age: c.age ?? undefined,
+      mode: MODES[mode]
+    })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) return { status: "error", error: data.error || `HTTP ${res.status}`, positions: [], questions: [] };
+  return {
+    status: data.status,
+    positions: (data.positions || []).map((p) => String(p.pos)),
+    questions: (data.questions || []).map((q) => q.id),
+    catalogVersion: data.catalogVersion || null
+  };
+}
+
+// --- Bewertung ---
+const key = (p) => String(p).trim().toLowerCase();
+function score(c, out, mode) {
+  const got = new Set(out.positions.map(key));
+  const want = new Set(c.expect.map(key));
+  const tp = [...want].filter((p) => got.has(p)).length;
+  const forbidden = (c.forbid || []).filter((p) => got.has(key(p)));
+  const asked = typeof c.question === "object" ? c.question[mode] : c.question;
+  const questionOk = asked ? out.status === "question" && out.questions.some((q) => q.endsWith(asked)) : null;
+  return {
+    tp,
+    fp: got.size - tp,
+    fn: want.size - tp,
+    forbidden,
+    questionOk,
+    // erwartete Positionen zählen nur als Vorschlag, nicht als Teil einer Rückfrage
+    pass: tp === want.size && got.size === tp && (c.question ? questionOk : out.status === "suggestion")
+  };
+}
+
+function aggregate(rows) {
+  const sum = (k) => rows.reduce((n, r) => n + r.score[k], 0);
+  const tp = sum("tp"), fp = sum("fp"), fn = sum("fn");
+  return {
+    cases: rows.length,
+    passed: rows.filter((r) => r.score.pass).length,
+    precision: tp + fp ? Math.round((tp / (tp + fp)) * 1000) / 1000 : null,
+    recall: tp + fn ? Math.round((tp / (tp + fn)) * 1000) / 1000 : null,
+    forbidden: rows.reduce((n, r) => n + r.score.forbidden.length, 0)
+  };
+}
+function groupBy(rows, field) {
+  const groups = {};
+  for (const r of rows) (groups[r[field]] = groups[r[field]] || []).push(r);
+  return Object.fromEntries(Object.entries(groups).sort().map(([k, v]) => [k, aggregate(v)]));
+}
+
+// --- Ausgabe ---
+const pct = (x) => (x === null ? "   –  " : `${(x * 100).toFixed(1).padStart(5)}%`);
+function printTable(title, groups) {
+  console.log(`\n${title}`);
+  console.log(`  ${"".padEnd(16)}  Fälle  ok   Precision  Recall  verboten`);
+  for (const [name, a] of Object.entries(groups)) {
+    console.log(`  ${name.padEnd(16)}  ${String(a.cases).padStart(5)} ${String(a.passed).padStart(3)}   ${pct(a.precision)}    ${pct(a.recall)}  ${String(a.forbidden).padStart(8)}`);
+  }
+}
+
+function diffRuns(previous, results) {
+  const before = new Map((previous?.results || []).map((r) => [`${r.mode}::${r.id}`, r]));
+  const lines = [];
+  for (const r of results) {
+    const old = before.get(`${r.mode}::${r.id}`);
+    if (!old) { lines.push(`  + ${r.mode.padEnd(7)} ${r.id}: neu (${r.status} ${r.positions.join(", ") || "–"})`); continue; }
+    const added = r.positions.filter((p) => !old.positions.map(key).includes(key(p)));
+    const removed = old.positions.filter((p) => !r.positions.map(key).includes(key(p)));
+    const changes = [];
+    if (old.status !== r.status) changes.push(`${old.status} → ${r.status}`);
+    if (added.length) changes.push(`+${added.join(", +")}`);
+    if (removed.length) changes.push(`-${removed.join(", -")}`);
+    if (old.pass !== r.pass) changes.push(r.pass ? "jetzt korrekt" : "jetzt falsch");
+    if (changes.length) lines.push(`  ${r.pass ? "✓" : "✗"} ${r.mode.padEnd(7)} ${r.id}: ${changes.join("; ")}`);
+  }
+  return lines;
+}
+
+// --- Main ---
+(async () => {
+  const gold = loadGold();
+  const modes = MODE === "both" ? Object.keys(MODES) : [MODE];
+  if (!modes.every((m) => m in MODES)) {
+    console.error(`--mode muss offline, mock oder both sein`);
+    process.exit(1);
+  }
+  const cases = gold.cases.filter((c) => c.id.startsWith(ONLY));
+  if (!cases.length) {
+    console.error(`Keine Fälle${ONLY ? ` mit id „${ONLY}…“` : ""} in ${path.relative(process.cwd(), GOLD_FILE)}`);
+    process.exit(1);
+  }
+  const previous = fs.existsSync(LAST_RUN_FILE) ? JSON.parse(fs.readFileSync(LAST_RUN_FILE, "utf8")) : null;
+
+  const secret = crypto.randomBytes(16).toString("hex");
+  const { child, base } = await startServer(secret);
+  const results = [];
+  let catalogVersion = null;
+  try {
+    for (const mode of modes) {
+      for (const c of cases) {
+        const out = await runCase(base, secret, gold, c, mode);
+        catalogVersion = catalogVersion || out.catalogVersion;
+        const s = score(c, out, mode);
+        results.push({ id: c.id, mode, payer: c.payer, family: c.family, status: out.status, error: out.error,
+          positions: out.positions, questions: out.questions, expect: c.expect, score: s, pass: s.pass });
+      }
+    }
+  } finally {
+    child.removeAllListeners("exit");
+    child.kill();
+  }
+
+  // Fälle
+  for (const mode of modes) {
+    console.log(`\n${mode === "offline" ? "Offline (Katalog + Regeln)" : "Mock-LLM"}:`);
+    for (const r of results.filter((x) => x.mode === mode)) {
+      const extra = r.error ? ` – Fehler: ${r.error}` : r.score.forbidden.length ? ` – VERBOTEN: ${r.score.forbidden.join(", ")}` : "";
+      console.log(`  ${r.pass ? "✓" : "✗"} ${r.id.padEnd(36)} ${String(r.status).padEnd(10)} ${r.positions.join(", ") || "–"}  (erwartet: ${r.expect.join(", ") || "Rückfrage"})${r.questions.length ? ` Rückfragen: ${r.questions.join(", ")}` : ""}${extra}`);
+    }
+  }
+
+  const summary = {};
+  for (const mode of modes) {
+    const rows = results.filter((r) => r.mode === mode);
+    summary[mode] = { total: aggregate(rows), payer: groupBy(rows, "payer"), family: groupBy(rows, "family") };
+    printTable(`${mode}: je Träger`, summary[mode].payer);
+    printTable(`${mode}: je Leistungsfamilie`, summary[mode].family);
+    printTable(`${mode}: gesamt`, { gesamt: summary[mode].total });
+  }
+
+  // Vergleich mit dem letzten Lauf
+  const regressions = [];
+  if (previous) {
+    console.log(`\nÄnderungen gegenüber dem letzten Lauf (${previous.at}, Katalog ${previous.catalogVersion || "?"}):`);
+    const lines = diffRuns(previous, results);
+    console.log(lines.length ? lines.join("\n") : "  keine");
+    for (const mode of modes) {
+      const was = previous.summary?.[mode]?.total;
+      const now = summary[mode].total;
+      if (!was) continue;
+      for (const k of ["precision", "recall"]) {
+        if (was[k] !== null && now[k] !== null && now[k] < was[k]) regressions.push(`${mode} ${k}: ${pct(was[k]).trim()} → ${pct(now[k]).trim()}`);
+      }
+    }
+    for (const r of regressions) console.warn("  ! gesunken:", r);
+  }
+
+  if (RECORD && !ONLY) {
+    fs.writeFileSync(LAST_RUN_FILE, JSON.stringify({
+      at: new Date().toISOString(),
+      catalogVersion,
+      modes,
+      summary,
+      results: results.map(({ score: _s, ...r }) => r)
+    }, null, 2), "utf8");
+    console.log(`\nLauf gespeichert: ${path.relative(process.cwd(), LAST_RUN_FILE)}`);
+  }
+
+  // verbotene Positionen, die im letzten Lauf noch nicht vorkamen (ohne letzten Lauf: alle)
+  const before = new Map((previous?.results || []).map((r) => [`${r.mode}::${r.id}`, r.positions.map(key)]));
+  const newForbidden = results.flatMap((r) => r.score.forbidden
+    .filter((p) => !(before.get(`${r.mode}::${r.id}`) || []).includes(key(p)))
+    .map((p) => `${r.mode} ${r.id}: ${p}`));
+  for (const f of newForbidden) console.warn("  ! neu verboten:", f);
+  if (CHECK && (newForbidden.length || regressions.length)) {
+    console.error(`\n✗ Prüfung fehlgeschlagen: ${newForbidden.length} neue verbotene Position(en), ${regressions.length} Verschlechterung(en)`);
+    process.exit(1);
+  }
+})().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
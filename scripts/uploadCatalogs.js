@@ -2,6 +2,7 @@
 // Lädt alle PDFs aus ./catalogs in einen OpenAI Vector Store.
 // - Falls VECTOR_STORE_ID in der Umgebung steht, werden neue Dateien dort angehängt.
 // - Sonst wird ein neuer Vector Store erstellt und die ID in der Konsole ausgegeben.
+// Der Server sucht dort Textstellen zu den Kandidaten (lib/retrieval.js); lokaler Ersatz ohne Upload: scripts/buildPassages.js
 
 const fs = require("fs");
 const path = require("path");
@@ -1,18 +1,49 @@
 // server.js — Abrechnungshelfer Medizin (Express + Supabase-Auth + OpenAI chat.completions)
 
 const Fuse = require("fuse.js");
-const catalogIndex = require("./catalogs/index.json");
-
-// optionale Regeln
-let rules = [];
-try { rules = require("./scripts/rules/catalog_rules.json"); } catch { rules = []; }
-
-// Synonyme extern laden (fallback leer)
-let SYNONYMS = {};
-try { SYNONYMS = require("./catalogs/synonyms.json"); } catch { SYNONYMS = {}; }
+const { loadCatalogData, watchCatalogFiles } = require("./lib/catalogData");
+const { positionFromItem, ask, suggestion, question, noMatch, totalsOf, renderMarkdown, renderComparison } = require("./lib/billingResult");
+const { exportFormats, renderExport } = require("./lib/billingExport");
+const { priceResult } = require("./lib/punktwerte");
+const { createEmbedder, createVectorIndex, nearest } = require("./lib/embeddings");
+const { createRetriever, citationsFor, STOPWORDS } = require("./lib/retrieval");
+const { ANSWER_SCHEMA, withIds, parseModelAnswer } = require("./lib/modelAnswer");
+const { createProvider, LlmError } = require("./lib/llmProvider");
+const { splitServices } = require("./lib/serviceSplit");
+const { checkPositions, admissibleAddOns } = require("./lib/billingRules");
+const slotEngine = require("./lib/slotEngine");
+const { norm } = require("./lib/textNorm");
+const { createConversationStore, newConversation, CONVERSATION_ID } = require("./lib/conversationStore");
+const { newCaseId, checkCaseId, parseBilled, parseCaseInput, createCaseStore, resolveCase, caseSummary } = require("./lib/caseContext");
+const { parseSex, patientFit, filterForPatient } = require("./lib/patientLimits");
+const { parseIcdCodes, bundlesFor, withoutDiagnoses } = require("./lib/diagnoses");
+
+// Katalog, Synonyme (fallback leer) und optionale Regeln; zur Laufzeit per reloadCatalog() austauschbar
+let catalogIndex, SYNONYMS, rules, billingRules, slotModel, exportConfig, punktwerte, diagnosisConfig;
+let catalogState = null;
+// Vektorindex (embeddings.json) und passendes Modell für Suchanfragen; null ohne bzw. mit veralteter Datei
+let vectorIndex = null;
+let embedder = null;
+function applyCatalog(data) {
+  catalogIndex = data.index;
+  SYNONYMS = data.synonyms;
+  const vi = createVectorIndex(data.index, data.embeddings);
+  vectorIndex = vi.error ? null : vi;
+  embedder = vi.error ? null : createEmbedder(process.env, vi.meta);
+  rules = data.rules;
+  billingRules = data.billingRules;
+  slotModel = data.slots;
+  exportConfig = data.exportFormats;
+  punktwerte = data.punktwerte;
+  diagnosisConfig = data.diagnoses;
+  catalogState = { versions: data.versions, loadedAt: data.loadedAt, lastError: null,
+    semantic: vi.error ? { active: false, reason: vi.error } : { active: true, provider: vi.meta.provider, model: vi.meta.model } };
+}
+applyCatalog(loadCatalogData());
 
 const express = require("express");
 const path = require("path");
+const fs = require("fs");
 const jwt = require("jsonwebtoken");
 const cors = require("cors");
 
@@ -25,9 +56,27 @@ const ALLOWED_EMAILS = (process.env.ALLOWED_EMAILS || "")
   .split(",")
   .map((s) => s.trim().toLowerCase())
   .filter(Boolean);
+// Admin-Funktionen (z. B. Katalog neu laden) nur für diese Adressen
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
 
-// Modell per ENV überschreibbar
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+// LLM-Anbieter, Modell, Basis-URL, Timeout und Wiederholungen per ENV (siehe lib/llmProvider.js)
+const llm = createProvider();
+// Textstellen (Limitierungen, Kombinationsverbote) für das Modell und als Fundstellen, siehe lib/retrieval.js
+const retriever = createRetriever();
+
+// "llm" (Modell wählt aus den Kandidaten) oder "offline" (deterministisch, kein Text verlässt den Server);
+// pro Request über body.mode überschreibbar. Ohne konfigurierten Anbieter ist offline der Standard.
+const BILLING_MODE = (process.env.BILLING_MODE || (llm.configured ? "llm" : "offline")).toLowerCase();
+
+// Standard-Bundesland pro Benutzer (Fallback, falls nicht in user_metadata.region): "mail@x.at=Wien,mail@y.at=Kärnten"
+const USER_REGIONS = Object.fromEntries((process.env.USER_REGIONS || "")
+  .split(",")
+  .map((s) => s.split("=").map((x) => x.trim()))
+  .filter(([email, region]) => email && region)
+  .map(([email, region]) => [email.toLowerCase(), region]));
 
 const app = express();
 app.set("trust proxy", 1);
@@ -37,13 +86,41 @@ app.use(express.json({ limit: "1mb" }));
 // Static Frontend
 app.use(express.static(path.join(__dirname, "public")));
 
+// Katalogstand, auf dem eine Antwort beruht (Version + SHA-256 je Quell-PDF, siehe scripts/buildCatalogIndex.js)
+function catalogInfo() {
+  return {
+    version: catalogIndex.version || null,
+    generatedAt: catalogIndex.generatedAt || null,
+    parser: catalogIndex.parser || null,
+    sources: (catalogIndex.sources || []).map(({ file, payer, region, version, validFrom, validTo, lookup, sha256 }) =>
+      ({ file, payer, region, version, validFrom, validTo, lookup: lookup || "default", sha256 }))
+  };
+}
+// Neu laden: alles oder nichts – bei Prüffehlern bleibt der bisherige Stand aktiv
+function reloadCatalog(trigger) {
+  try {
+    const data = loadCatalogData();
+    const before = catalogState.versions;
+    applyCatalog(data);
+    log(`Katalog neu geladen (${trigger}):`, before.index, "→", data.versions.index);
+    return { ok: true, catalog: catalogState };
+  } catch (e) {
+    catalogState.lastError = { at: new Date().toISOString(), trigger, problems: e.problems || [e.message] };
+    log(`Katalog-Reload abgelehnt (${trigger}):`, e.message);
+    return { ok: false, catalog: catalogState };
+  }
+}
+if (process.env.CATALOG_WATCH === "1") watchCatalogFiles(() => reloadCatalog("Dateiänderung"));
+
+app.use("/api", (_req, res, next) => { res.set("X-Catalog-Version", catalogIndex.version || "unbekannt"); next(); });
+
 // kleine Log-Hilfe
 const log = (...a) => console.log("[APP]", ...a);
 const DEBUG_INTENT = process.env.DEBUG_INTENT === "1";
 const dbg = (...a) => { if (DEBUG_INTENT) console.log("[INTENT]", ...a); };
 
 // Health-Checks
-app.get("/health", (_req, res) => res.json({ status: "ok", uptime: process.uptime() }));
+app.get("/health", (_req, res) => res.json({ status: "ok", uptime: process.uptime(), catalog: catalogState }));
 app.get("/api/check", (_req, res) => {
   const keyPreview = OPENAI_API_KEY ? OPENAI_API_KEY.slice(0, 7) + "…" + OPENAI_API_KEY.slice(-4) : "❌ kein Key";
   res.json({
@@ -52,9 +129,70 @@ app.get("/api/check", (_req, res) => {
     supabaseUrl: SUPABASE_URL ? "✅ vorhanden" : "❌ fehlt",
     supabaseJwtSecret: SUPABASE_JWT_SECRET ? "✅ vorhanden" : "❌ fehlt",
     allowedEmails: ALLOWED_EMAILS.length ? `✅ ${ALLOWED_EMAILS.length}` : "—",
-    model: OPENAI_MODEL,
+    adminEmails: ADMIN_EMAILS.length ? `✅ ${ADMIN_EMAILS.length}` : "—",
+    llmProvider: `${llm.name}${llm.configured ? "" : " (nicht konfiguriert)"}`,
+    llmBaseUrl: llm.baseUrl || "—",
+    model: llm.model,
+    mode: BILLING_MODE,
+    retrieval: retriever.name === "off" ? "—" : `${retriever.name}${retriever.configured ? "" : " (nicht konfiguriert)"}`,
+    conversationStore: conversations.name,
   });
 });
+app.get("/api/catalog/version", requireAuth, (_req, res) => res.json(catalogInfo()));
+app.post("/api/admin/reload", requireAuth, requireAdmin, (req, res) => {
+  const result = reloadCatalog(`Admin ${req.user.email || req.user.id}`);
+  res.status(result.ok ? 200 : 422).json(result);
+});
+
+// Quell-PDFs des Katalogs (nur die im Index genannten), z. B. /api/sources/HK%20BVAEB.pdf#page=12
+// Dateinamen werden NFC-verglichen – auf der Platte liegt „HK ÖGK.pdf“ u. U. zerlegt (O + ¨)
+const CATALOG_DIR = path.join(__dirname, "catalogs");
+const nfc = (s) => String(s).normalize("NFC");
+app.get("/api/sources/:file", requireAuth, (req, res) => {
+  const wanted = nfc(req.params.file);
+  const known = (catalogIndex.sources || []).some((s) => nfc(s.file) === wanted);
+  const onDisk = known && fs.readdirSync(CATALOG_DIR).find((f) => nfc(f) === wanted);
+  if (!onDisk) return res.status(404).json({ error: "Quelle nicht gefunden" });
+  res.set("Content-Disposition", `inline; filename*=UTF-8''${encodeURIComponent(wanted)}`);
+  res.set("Cache-Control", "private, max-age=3600");
+  res.type("application/pdf").sendFile(path.join(CATALOG_DIR, onDisk));
+});
+
+// ------------------ Fallkontext (pseudonym, je Benutzer) ------------------
+const caseStore = createCaseStore();
+function caseParam(req, res) {
+  const parsed = parseCaseInput({ id: req.params.id });
+  if (parsed.error) { res.status(400).json({ error: parsed.error }); return null; }
+  return parsed.case.id;
+}
+app.post("/api/cases", requireAuth, (req, res) => {
+  const parsed = parseCaseInput({ id: newCaseId(), ...(req.body || {}) });
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  res.status(201).json(caseStore.save(sessionKey(req), parsed.case));
+});
+app.get("/api/cases/:id", requireAuth, (req, res) => {
+  const id = caseParam(req, res); if (!id) return;
+  const c = caseStore.get(sessionKey(req), id);
+  if (!c) return res.status(404).json({ error: "Fall nicht gefunden" });
+  res.json(c);
+});
+// Verrechnete Positionen übernehmen: { payer, date?, positions: [{ pos, quantity }] }
+app.post("/api/cases/:id/billed", requireAuth, (req, res) => {
+  const id = caseParam(req, res); if (!id) return;
+  const payer = req.body?.payer ? mapToCanonicalPayer(req.body.payer) : null;
+  if (!payer) return res.status(400).json({ error: "Fehlendes Feld: payer" });
+  const date = req.body?.date ? parseServiceDate(req.body.date) : todayIso();
+  if (!date) return res.status(400).json({ error: "Ungültiges Datum: JJJJ-MM-TT oder TT.MM.JJJJ" });
+  const { billed, error } = parseBilled(req.body?.positions || [], { date, payer });
+  if (error) return res.status(400).json({ error });
+  if (!billed.length) return res.status(400).json({ error: "Keine Positionen angegeben" });
+  res.json(caseStore.addBilled(sessionKey(req), id, billed.map((b) => ({ ...b, payer: mapToCanonicalPayer(b.payer) }))));
+});
+app.delete("/api/cases/:id", requireAuth, (req, res) => {
+  const id = caseParam(req, res); if (!id) return;
+  if (!caseStore.remove(sessionKey(req), id)) return res.status(404).json({ error: "Fall nicht gefunden" });
+  res.status(204).end();
+});
 
 // Supabase-Auth Middleware
 function requireAuth(req, res, next) {
@@ -66,6 +204,9 @@ function requireAuth(req, res, next) {
 
     const payload = jwt.verify(token, SUPABASE_JWT_SECRET);
     req.user = { id: payload.sub, email: payload.email, role: payload.role };
+    req.user.region = mapToCanonicalRegion(payload.user_metadata?.region || USER_REGIONS[(payload.email || "").toLowerCase()] || "");
+    // Fachgebiet(e) für Regeln wie „nur für FÄ für Dermatologie“: user_metadata.specialty = "Dermatologie" oder Liste
+    req.user.specialties = [].concat(payload.user_metadata?.specialty || []).map(String).filter(Boolean);
 
     if (ALLOWED_EMAILS.length) {
       const email = (req.user.email || "").toLowerCase();
@@ -76,6 +217,11 @@ function requireAuth(req, res, next) {
     return res.status(401).json({ error: "Ungültiges/abgelaufenes Token" });
   }
 }
+function requireAdmin(req, res, next) {
+  const email = (req.user?.email || "").toLowerCase();
+  if (!email || !ADMIN_EMAILS.includes(email)) return res.status(403).json({ error: "Nur für Administratoren" });
+  next();
+}
 
 // === SYSTEM PROMPT (Hintergrund + Regeln) ===
 const SYSTEM_PROMPT = `
@@ -83,7 +229,7 @@ Du bist der „Abrechnungshelfer Medizin“ für Ärzt:innen, die mit Innomed ar
 Deine Aufgabe:
 - Vorschläge ausschließlich aus den hochgeladenen Honorarkatalogen (ÖGK, BVAEB, SVS, Tarmed, GOÄ, Medrech, KUF usw.).
 - Keine Fantasie-Nummern oder fremde Kataloge.
-- IMMER angeben: exakte Positionsnummer, Original-Leistungstext, Punkte/€.
+- Positionen nur aus der Kandidatenliste wählen (über die ID); Nummer, Text und Punkte ergänzt der Server.
 - Ton: freundlich, präzise, medizinisch korrekt. Keine Patientendaten speichern.
 - Stelle gezielte Rückfragen bei Unsicherheit (z. B. EKG ja/nein, Gesprächsdauer, Labor vs. PoC, Technik).
 
@@ -99,25 +245,13 @@ WICHTIG bei unpräziser Anfrage („Harn“, „Streifen“, „Urin“, „Kont
 - ZUERST Rückfragen: z. B. Art der Untersuchung, Ort (Ordination vs. Labor), Dauer, Versicherungsträger.
 - NIE eine Position nennen, die nicht eindeutig im gültigen Katalog steht.
 
-Ausgabeformat:
-1) Tabelle „Pos.-Nr | Leistungstext | Punkte/€ | Zusatzinfo“
-2) Danach „Copy-Paste-Liste: <PosNr; PosNr; …>“
+Ausgabeformat (JSON nach vorgegebenem Schema):
+- status: "suggestion", wenn die Positionen feststehen; "question", wenn zuerst etwas geklärt werden muss
+- positions: gewählte Kandidaten NUR über ihre ID (z. B. "c3"), mit Anzahl (quantity) und kurzer Begründung (reason)
+- questions: Rückfragen mit kurzen Antwortoptionen (options), sonst leer
+- Positionsnummern, Leistungstexte und Punkte NICHT selbst schreiben – die Tabelle erstellt der Server aus dem Katalog.
 `;
 
-// === FEW SHOTS (kurz) ===
-const FEW_SHOTS = [
-  { role: "user", content: "Männlich, 52 Jahre, Hypertonie, Erstordination" },
-  { role: "assistant", content: `Rückfrage: Wurde ein Ruhe-EKG durchgeführt?
-
-Pos.-Nr | Leistungstext | Punkte/€ | Zusatzinfo
-------- | ------------- | -------- | -----------
-1C | Erstordination | 20 P | nur 1× pro Quartal
-1D | Koordinationszuschlag | 10 P | bei Erstordination
-300 | Blutdruckmessung | 5 P | Routine
-
-Copy-Paste-Liste: 1C; 1D; 300`},
-];
-
 // === Helper: Normalisierung, Payer, Synonyme ===
 function mapToCanonicalPayer(raw = "") {
   // lokale Normalisierung
@@ -143,17 +277,9 @@ function samePayer(a, b) {
 }
 
 const stripDiacritics = (s = "") => s.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
-function norm(s = "") {
-  return String(s)
-    .toLowerCase()
-    .replace(/[ä]/g, "ae").replace(/[ö]/g, "oe").replace(/[ü]/g, "ue").replace(/[ß]/g, "ss")
-    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
-    .replace(/[^\w\s]/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
 // Setting-Erkennung (Ordination vs. Labor)
+// Ortsangaben ohne Leistungsbezug („Harnstreifentest in der Ordination“) – zählen nicht als Suchbegriffe
+const SETTING_PHRASES = /\b(in der ordination|in der praxis|im haus|im labor|externes labor)\b/g;
 function detectSetting(n) {
   const inOrd = /\b(ordination|praxis|ambulanz|im haus|in der ordination)\b/.test(n);
   const inLab = /\b(labor|labordiagnostik|externes labor|im labor)\b/.test(n);
@@ -172,12 +298,12 @@ const PAYER_SYNONYMS = {
 function extractPayerFromText(text = "") {
   const t = norm(text);
   const MAP = {
-    "ÖGK": [/\\boegk\\b/, /\\bogk\\b/, /\\boe\\s*gk\\b/, /\\bgesundheitskasse\\b/, /\\boesterreichische\\s+gesundheitskasse\\b/, /\\bkrankenkasse\\b/],
-    "BVAEB": [/\\bbvaeb\\b/, /\\bbva\\b/, /\\bbeamten\\b/, /\\beisenbahn\\b/, /\\bbergbau\\b/],
-    "SVS": [/\\bsvs\\b/, /\\bselbststaendigen\\b/, /\\bbauern\\b/, /\\bgewerbe\\b/],
-    "KFA": [/\\bkfa\\b/, /\\bkrankenfuersorge\\b/, /\\bwiener\\s+kfa\\b/],
-    "KUF": [/\\bkuf\\b/],
-    "MEDRECH": [/\\bmedrech\\b/],
+    "ÖGK": [/\boegk\b/, /\bogk\b/, /\boe\s*gk\b/, /\bgesundheitskasse\b/, /\boesterreichische\s+gesundheitskasse\b/, /\bkrankenkasse\b/],
+    "BVAEB": [/\bbvaeb\b/, /\bbva\b/, /\bbeamten\b/, /\beisenbahn\b/, /\bbergbau\b/],
+    "SVS": [/\bsvs\b/, /\bselbststaendigen\b/, /\bbauern\b/, /\bgewerbe\b/],
+    "KFA": [/\bkfa\b/, /\bkrankenfuersorge\b/, /\bwiener\s+kfa\b/],
+    "KUF": [/\bkuf\b/],
+    "MEDRECH": [/\bmedrech\b/],
   };
   for (const [canon, regs] of Object.entries(MAP)) {
     if (regs.some(r => r.test(t))) return canon;
@@ -190,12 +316,52 @@ function extractCanonicalPayer(text = "") {
   return p ? mapToCanonicalPayer(p) : null;
 }
 
-// Eingaben, die nur eine Dauer ohne Kontext enthalten
-function isBareDurationQuery(text = "") {
-  const t = norm(text);
-  const hasDuration = /\b(min|minute|stunden?|std)\b/.test(t);
-  const hasKeywords = /\b(gespraech|angehorig|blut|harn|urin|ekg|labor|injek|sonogr|abstrich|check|vorsorge|ordination)\b/.test(t);
-  return hasDuration && !hasKeywords;
+// **Bundesland / Landesstelle** (ÖGK- und KUF-Tarife unterscheiden sich regional)
+const REGION_SYNONYMS = {
+  "Wien": ["wien", "wiener"],
+  "Niederösterreich": ["niederoesterreich", "noe", "n oe"],
+  "Oberösterreich": ["oberoesterreich", "ooe", "o oe"],
+  "Salzburg": ["salzburg", "sbg"],
+  "Tirol": ["tirol", "tiroler"],
+  "Vorarlberg": ["vorarlberg", "vbg"],
+  "Kärnten": ["kaernten", "kaerntner", "ktn"],
+  "Steiermark": ["steiermark", "steirische", "steirischen", "stmk"],
+  "Burgenland": ["burgenland", "bgld"],
+};
+function mapToCanonicalRegion(raw = "") {
+  const t = norm(raw);
+  if (!t) return null;
+  for (const [canon, syns] of Object.entries(REGION_SYNONYMS)) {
+    if (norm(canon) === t || syns.includes(t)) return canon;
+  }
+  return null;
+}
+function extractRegionFromText(text = "") {
+  const t = ` ${norm(text)} `;
+  for (const [canon, syns] of Object.entries(REGION_SYNONYMS)) {
+    if (syns.some((w) => t.includes(` ${w} `))) return canon;
+  }
+  return null;
+}
+// Einträge ohne region gelten bundesweit
+function sameRegion(it, region) {
+  return !region || !it.region || it.region === region;
+}
+function regionsForPayer(payer) {
+  return Array.from(new Set(catalogIndex.items
+    .filter((x) => samePayer(x.payer, payer) && x.region)
+    .map((x) => x.region))).sort();
+}
+
+// Träger- und Bundesland-Wörter (zählen nicht als Leistungsbegriffe)
+function contextWords() {
+  return new Set(Object.keys(PAYER_SYNONYMS).concat(Object.values(PAYER_SYNONYMS).flat(), Object.values(REGION_SYNONYMS).flat())
+    .map(norm).filter((w) => !w.includes(" ")));
+}
+
+// Eingaben, die nur eine Angabe (z. B. Dauer) ohne Leistung enthalten
+function isDetailOnlyQuery(text = "") {
+  return slotEngine.isDetailOnly(text, slotModel);
 }
 
 // „Nur Payer“-Eingaben
@@ -203,6 +369,7 @@ function isPayerOnlyQuery(text = "") {
   const t = norm(text);
   const withoutPayerWords = Object.values(PAYER_SYNONYMS).flat()
     .concat(Object.keys(PAYER_SYNONYMS))
+    .concat(Object.values(REGION_SYNONYMS).flat())
     .map(norm)
     .reduce((acc, w) => acc.replace(new RegExp(`\\b${w}\\b`, "g"), " "), ` ${t} `)
     .replace(/\s+/g, " ")
@@ -240,17 +407,22 @@ function preferredByRules(userText, payer) {
 }
 
 // --- Blutabnahme-Intent & Flags ---
-function bloodIntent(n) {
-  return (
-    /\b(blutabnahme(n)?|blutentnahme(n)?)\b/.test(n) ||
-    /\b(venose|venoese|venos|vene|venenpunktion|venepunktion)\b/.test(n) ||
-    /\b(kapillar|kapillarblut|fingerbeere|ohrlaeppchen)\b/.test(n)
-  );
+// Blutabnahme und venös/kapillar kommen aus dem Slot-Modell (Familie „blutabnahme“, Slot „bloodDraw“)
+function bloodIntent(n) { return slotEngine.familiesIn(n, slotModel).some((f) => f.id === "blutabnahme"); }
+function hasVenousFlag(n) { return slotEngine.optionIn(n, "bloodDraw", slotModel)?.id === "venoes"; }
+function hasCapillaryFlag(n) { return slotEngine.optionIn(n, "bloodDraw", slotModel)?.id === "kapillar"; }
+
+// Titel beginnt mit der venösen Blutabnahme („Blutentnahme aus der Vene“, BVAEB/SVS „Blutabnahme aus der Vene“) –
+// nicht „Aderlass durch Blutentnahme …“ oder „… Labor inkl. Blutabnahme aus der Vene“
+const isVenousDraw = (it) => /^blut(ent|ab)nahme aus der vene\b/.test(norm(it.title));
+const isCapillaryDraw = (it) => /\b(kapillar|kapillarblut)\b/.test(norm(it.title));
+// Kinder-Varianten („… bei Kindern bis zu sechs Jahren“) nur, wenn der Text Kinder nennt; mit Alter entscheidet
+// die Reihenfolge aus filterForPatient (passende altersspezifische Positionen vorne)
+function pickForChildren(items, nt, age) {
+  if (age !== null && age !== undefined) return items[0] || null;
+  const forChildren = /\bkind(er|ern)?\b/.test(nt);
+  return items.find((it) => /\bkinder/.test(norm(it.title)) === forChildren) || items[0] || null;
 }
-function hasVenousFlag(n) { return /\b(venose|venoese|venos|vene|venenpunktion|venepunktion)\b/.test(n); }
-function hasCapillaryFlag(n) { return /\b(kapillar|kapillarblut|fingerbeere|ohrlaeppchen)\b/.test(n); }
-
-function ntIncludes(it, needle) { return norm(it.title).includes(norm(needle)); }
 
 // enger Blut-Filter
 function restrictToBloodDraw(items) {
@@ -262,43 +434,127 @@ function restrictToBloodDraw(items) {
   return items.filter((it) => BLOOD_PATTERNS.some((p) => norm(it.title).includes(p)));
 }
 
-// --- Kandidaten finden (Fuse + Synonyme + Fallback) ---
-function findCandidates(userText, payer, limit = 12) {
-  let items = catalogIndex.items.filter((x) => !payer || samePayer(x.payer, payer));
+// --- Gültigkeit: Leistungsdatum -> passende Tarifversion ---
+function todayIso() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+// akzeptiert „2024-03-15“ und „15.03.2024“; liefert JJJJ-MM-TT oder null (auch bei unmöglichen Daten)
+function parseServiceDate(raw) {
+  const s = String(raw || "").trim();
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  let y, mo, d;
+  if (m) [, y, mo, d] = m;
+  else if ((m = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/))) [, d, mo, y] = m;
+  else return null;
+  const dt = new Date(Date.UTC(+y, +mo - 1, +d));
+  if (dt.getUTCFullYear() !== +y || dt.getUTCMonth() !== +mo - 1 || dt.getUTCDate() !== +d) return null;
+  return dt.toISOString().slice(0, 10);
+}
+function isValidOn(it, day) {
+  return (!it.validFrom || it.validFrom <= day) && (!it.validTo || day <= it.validTo);
+}
+// je payer+region+pos nur die am Stichtag gültige Version; bei Überschneidung gewinnt der jüngere validFrom
+const versionKey = (it) => `${mapToCanonicalPayer(it.payer)}::${it.region || ""}::${String(it.pos).toLowerCase()}`;
+function itemsValidOn(items, day) {
+  const best = new Map();
+  for (const it of items) {
+    if (!isValidOn(it, day)) continue;
+    const cur = best.get(versionKey(it));
+    if (!cur || (it.validFrom || "") > (cur.validFrom || "")) best.set(versionKey(it), it);
+  }
+  return items.filter((it) => best.get(versionKey(it)) === it);
+}
+// Praxisexporte (lookup "explicit" im Manifest: Innomed-Honorarkataloge ohne Landesstelle und Gültigkeit) nur mit
+// exports – außer für Träger, zu denen es keinen veröffentlichten Tarif gibt (MEDRECH)
+function withoutExports(items) {
+  const published = new Set(items.filter((x) => x.lookup !== "explicit").map((x) => mapToCanonicalPayer(x.payer)));
+  return items.filter((x) => x.lookup !== "explicit" || !published.has(mapToCanonicalPayer(x.payer)));
+}
+// Hat ein Träger einen Tarif der Landesstelle, gelten dessen bundesweite Einträge (ohne region) dort nicht
+function regionalFirst(items, region) {
+  const regional = new Set(items.filter((x) => x.region === region).map((x) => mapToCanonicalPayer(x.payer)));
+  return items.filter((x) => x.region || !regional.has(mapToCanonicalPayer(x.payer)));
+}
+// nationwide: nur bundesweite Einträge (ohne region); age/sex: Patientin/Patient (Verstöße gegen age-Regeln fallen weg,
+// altersspezifische passende stehen vorne – z. B. Blutabnahme bei Kindern vor der allgemeinen; siehe filterForPatient)
+function catalogItemsFor(payer, { serviceDate = null, region = null, nationwide = false, age = null, sex = null, exports = false } = {}) {
+  let items = catalogIndex.items.filter((x) => (!payer || samePayer(x.payer, payer)) && (nationwide ? !x.region : sameRegion(x, region)));
+  if (!exports) items = withoutExports(items);
+  if (region && !nationwide) items = regionalFirst(items, region);
+  return filterForPatient(itemsValidOn(items, serviceDate || todayIso()), { age, sex, rules: billingRules, payer });
+}
 
-  // Setting-Filter
-  const { inOrd, inLab } = detectSetting(norm(userText));
+// Setting-Filter, Psych-Guard und Blutabnahme-Intent – gelten für Text- und Vektorsuche gleichermaßen
+function narrowItems(items, userText) {
+  const nt = norm(userText);
+  const { inOrd, inLab } = detectSetting(nt);
   if (inOrd && !inLab) items = items.filter((it) => !/\blabor\b/i.test(it.title));
   else if (inLab && !inOrd) items = items.filter((it) => /\blabor\b/i.test(it.title));
 
   // Psych-GUARD
-  const nt = norm(userText);
   const looksPsych = /(psycho|depress|angst|krisenintervention|psychothera|psychiatr)/i.test(nt);
   if (!looksPsych) items = items.filter((it) => !/(psych|psychiatr|psychothera)/i.test(it.title));
 
+  if (bloodIntent(nt)) {
+    items = restrictToBloodDraw(items);
+    if (!/\binjek|spritze\b/.test(nt)) items = items.filter((it) => !/injektion/i.test(it.title));
+  }
+  return items;
+}
+
+// Anzahlbereich im Titel („Wundversorgung durch Naht (bis 4 Nähte)“) → { min, max, text } | null;
+// Zeitangaben („bis 20 Minuten“) sind keine Anzahl
+const COUNT_RANGE = /(?<![a-zäöüß])(bis|über|ab)\s+(\d+)\s+([a-zäöüß]+)/i;
+const TIME_UNITS = /^(min|minute|minuten|std|stunde|stunden|tag|tage|woche|wochen|monat|monate|jahr|jahre|lebensjahr)$/i;
+function countRange(title) {
+  const m = String(title).match(COUNT_RANGE);
+  if (!m || TIME_UNITS.test(m[3])) return null;
+  const n = Number(m[2]);
+  const from = m[1].toLowerCase();
+  return { min: from === "bis" ? 1 : from === "ab" ? n : n + 1, max: from === "bis" ? n : Infinity, text: m[0] };
+}
+const inCountRange = (range, n) => n >= range.min && n <= range.max;
+
+// --- Kandidaten finden (Fuse + Synonyme + Fallback) ---
+// Titel, deren Begriffe alle ohne Entsprechung in der Eingabe sind, verlieren so viel vom Score
+const EXTRA_TERM_PENALTY = 0.4;
+// je Kandidat Score (0–1, höher = besser) und Begründung (why) – für den Offline-Modus und die Anzeige;
+// scope.quantity (Anzahl aus der Eingabe) wählt zwischen Titeln mit Anzahlbereich („bis 4 Nähte“/„über 4 Nähte“);
+// verfehlt scope.age/scope.sex eine Grenze laut Leistungstext, zählt der Treffer halb (mit Hinweis)
+function rankCandidates(userText, payer, limit = 12, scope = {}) {
+  let items = catalogItemsFor(payer, scope);
+
+  // Ausdrücklich genannte Pos.-Nr. (z. B. Antwort auf „Welche Position ist gemeint?“) – die letzte Nennung zählt
+  const posRefs = Array.from(String(userText).matchAll(/\bpos\.?\s*([0-9][0-9a-z]*)\b/gi), (m) => m[1]);
+  if (posRefs.length) {
+    const ref = posRefs[posRefs.length - 1];
+    const hit = items.find((it) => String(it.pos) === ref) || items.find((it) => String(it.pos).toLowerCase() === ref.toLowerCase());
+    if (hit) return [{ item: hit, score: 1, preferred: true, why: [`Pos. ${hit.pos} ausdrücklich gewählt`] }];
+  }
+
+  items = narrowItems(items, userText);
+  const nt = norm(userText);
   const preferCodes = preferredByRules(userText, payer) || [];
 
   // Intent Blutabnahme
   const intentIsBlood = bloodIntent(nt);
   const vFlag = hasVenousFlag(nt);
   const kFlag = hasCapillaryFlag(nt);
-  const mentionsInjection = /\binjek|spritze\b/.test(nt);
-
-  if (intentIsBlood) items = restrictToBloodDraw(items);
-  if (intentIsBlood && !mentionsInjection) items = items.filter((it) => !/injektion/i.test(it.title));
 
   // Deterministisch „exact-first“
   if (intentIsBlood && vFlag) {
-    const exactVene = items.find((it) => ntIncludes(it, "blutentnahme aus der vene"));
-    if (exactVene) return [exactVene].slice(0, limit);
+    const exactVene = pickForChildren(items.filter(isVenousDraw), nt, scope.age);
+    if (exactVene) return [{ item: exactVene, score: 1, preferred: true, why: ["Blutentnahme venös: exakte Katalogposition"] }].slice(0, limit);
   }
   if (intentIsBlood && kFlag) {
-    const exactKap = items.find((it) => ntIncludes(it, "kapillar"));
-    if (exactKap) return [exactKap].slice(0, limit);
+    const exactKap = pickForChildren(items.filter(isCapillaryDraw), nt, scope.age);
+    if (exactKap) return [{ item: exactKap, score: 1, preferred: true, why: ["Blutentnahme kapillar: exakte Katalogposition"] }].slice(0, limit);
   }
 
-  // fuzzy
-  const expandedQuery = expandQueryWithSynonyms(userText);
+  // fuzzy – mit der Eingabe selbst und mit Synonymen (die erweiterte Anfrage allein ist für Fuse oft zu lang)
+  const serviceText = nt.replace(SETTING_PHRASES, " ").replace(/\s+/g, " ").trim() || nt;
+  const expandedQuery = expandQueryWithSynonyms(serviceText);
   const fuse = new Fuse(items, {
     includeScore: true,
     threshold: 0.5,
@@ -306,56 +562,179 @@ function findCandidates(userText, payer, limit = 12) {
     ignoreLocation: true,
     keys: ["title"],
   });
-  let found = fuse.search(expandedQuery).map((r) => r.item);
+  const toks = Array.from(new Set(expandedQuery.split(" ").filter((t) => t.length > 2)));
+  const sharedTerms = (it) => toks.filter((t) => norm(it.title).includes(t));
+
+  // Abdeckung: Anteil der Leistungsbegriffe aus der Eingabe (ohne Träger/Bundesland/Zahlen/Füllwörter), die im
+  // Titel vorkommen; Score = bessere von Textähnlichkeit und Abdeckung, gemindert um Titelbegriffe ohne Entsprechung
+  // in der Eingabe („EKG in Ruhe“ passt auf „EKG in Ruhe“ besser als auf „EKG in Ruhe und mit Belastung“); reine
+  // Textähnlichkeit ohne abgedeckten Begriff bleibt ungemindert, solange kein anderer Titel Begriffe abdeckt (Tippfehler)
+  const isTerm = (t) => t.length > 2 && !/\d/.test(t) && !STOPWORDS.has(t);
+  const queryToks = Array.from(new Set(serviceText.split(" ")))
+    .filter((t) => isTerm(t) && !contextWords().has(t));
+  const queryForms = queryToks.map((t) => [t, ...getSynonymsFor(t).map(norm)]);
+  const covered = (it) => {
+    const title = norm(it.title);
+    return queryToks.filter((t, i) => queryForms[i].some((x) => title.includes(x)));
+  };
+  const extraTerms = (title) => Array.from(new Set(norm(title).split(" "))).filter(isTerm)
+    .map((w) => [w, queryForms.some((forms) => forms.some((x) => w.includes(x) || x.includes(w)))]);
+  const patient = scope.age != null || scope.sex ? { age: scope.age ?? null, sex: scope.sex || null, rules: billingRules, payer } : null;
+  const rate = (it, similarity, strict) => {
+    const hit = covered(it);
+    const coverage = queryToks.length ? hit.length / queryToks.length : 0;
+    const range = scope.quantity > 1 ? countRange(it.title) : null;
+    const fits = range && inCountRange(range, scope.quantity);
+    const terms = extraTerms(fits ? it.title.replace(range.text, " ") : it.title);
+    const extra = terms.filter(([, matched]) => !matched).map(([w]) => w);
+    const penalty = (strict || hit.length) && terms.length ? 1 - EXTRA_TERM_PENALTY * (extra.length / terms.length) : 1;
+    const why = [`Textähnlichkeit ${Math.round(similarity * 100)} %`];
+    if (hit.length) why.push(`Begriffe abgedeckt: ${hit.join(", ")} (${hit.length}/${queryToks.length})`);
+    if ((strict || hit.length) && extra.length) why.push(`weitere Begriffe im Titel: ${extra.length}/${terms.length}`);
+    if (range) why.push(`Anzahl ${scope.quantity} ${fits ? "passt zu" : "außerhalb"} „${range.text}“`);
+    const outOfRange = range && !fits ? 0.5 : 1;
+    const hint = patient && patientFit(it, patient).hint;
+    if (hint) why.push(hint);
+    const offPatient = hint ? 0.5 : 1;
+    return { item: it, score: Math.round(Math.max(similarity, coverage) * penalty * outOfRange * offPatient * 100) / 100, why };
+  };
+  const fuseScores = new Map();
+  for (const q of new Set([serviceText, expandedQuery])) {
+    for (const r of fuse.search(q)) if (!fuseScores.has(r.item) || r.score < fuseScores.get(r.item)) fuseScores.set(r.item, r.score);
+  }
+  const anyCovered = Array.from(fuseScores.keys()).some((it) => covered(it).length);
+  let found = Array.from(fuseScores, ([item, score]) => ({ ...rate(item, 1 - score, anyCovered), fuseScore: score }))
+    .sort((a, b) => b.score - a.score);
 
   // Overlap-Fallback
   if (!found.length) {
-    const toks = new Set(expandedQuery.split(" ").filter((t) => t.length > 2));
     found = items
-      .map((it) => ({ it, nt2: norm(it.title) }))
-      .map(({ it, nt2 }) => ({ it, overlap: Array.from(toks).filter((t) => nt2.includes(t)).length }))
-      .filter((x) => x.overlap > 0)
-      .sort((a, b) => b.overlap - a.overlap)
-      .map((x) => x.it);
+      .map((it) => ({ item: it, shared: sharedTerms(it) }))
+      .filter((x) => x.shared.length > 0)
+      .sort((a, b) => b.shared.length - a.shared.length)
+      .map(({ item, shared }) => {
+        const r = rate(item, 0);
+        r.score = Math.min(r.score, 0.5); // nur Wortüberlappung: nie ein „sicherer“ Treffer
+        r.why[0] = `gemeinsame Begriffe: ${shared.join(", ")}`;
+        return r;
+      });
   }
 
   if (preferCodes.length) {
-    const pref = found.filter((x) => preferCodes.includes(String(x.pos)));
-    const rest = found.filter((x) => !preferCodes.includes(String(x.pos)));
+    const pref = found.filter((x) => preferCodes.includes(String(x.item.pos)));
+    const rest = found.filter((x) => !preferCodes.includes(String(x.item.pos)));
+    for (const x of pref) { x.preferred = true; x.why.unshift("bevorzugt laut catalog_rules.json"); }
     found = [...pref, ...rest];
   }
 
-  if (intentIsBlood) found = restrictToBloodDraw(found);
+  if (intentIsBlood) {
+    const keep = new Set(restrictToBloodDraw(found.map((x) => x.item)));
+    found = found.filter((x) => keep.has(x.item));
+  }
 
   return found.slice(0, limit);
 }
 
+// --- Hybride Suche: Textsuche + Vektorsuche (embeddings.json), zusammengeführt per Reciprocal Rank Fusion ---
+// Vektortreffer ohne Texttreffer gelten nie als „sicher“ (Score höchstens SEMANTIC_MAX_SCORE) – sie erweitern nur die
+// Kandidaten für das Modell bzw. die Rückfrage. Ohne Vektorindex oder bei Fehlern des Embedding-Servers: nur Textsuche.
+const RRF_K = 60;
+const SEMANTIC_MAX_SCORE = 0.5;
+const queryVectors = new Map(); // kleine LRU: gleiche Eingaben (Rückfragen, Vergleich) nicht erneut einbetten
+async function queryVector(text) {
+  const key = `${embedder.model}::${text}`;
+  if (queryVectors.has(key)) {
+    const v = queryVectors.get(key);
+    queryVectors.delete(key);
+    queryVectors.set(key, v);
+    return v;
+  }
+  const [v] = await embedder.embed([`${embedder.queryPrefix}${text}`]);
+  queryVectors.set(key, v);
+  if (queryVectors.size > 200) queryVectors.delete(queryVectors.keys().next().value);
+  return v;
+}
+
+async function semanticCandidates(userText, payer, limit, scope = {}) {
+  if (!vectorIndex || !embedder) return [];
+  try {
+    const items = narrowItems(catalogItemsFor(payer, scope), userText);
+    return nearest(vectorIndex, await queryVector(userText), items, limit);
+  } catch (e) {
+    log("Vektorsuche nicht verfügbar:", embedder.name, e?.message || e);
+    return [];
+  }
+}
+
+function fuseRankings(lexical, semantic, limit) {
+  const fused = new Map();
+  lexical.forEach((r, i) => fused.set(r.item, { ...r, why: [...r.why], rrf: 1 / (RRF_K + i + 1) }));
+  semantic.forEach((s, i) => {
+    const similarity = `semantisch ähnlich ${Math.round(s.similarity * 100)} %`;
+    const cur = fused.get(s.item);
+    if (cur) { cur.rrf += 1 / (RRF_K + i + 1); cur.why.push(similarity); cur.similarity = s.similarity; return; }
+    fused.set(s.item, { item: s.item, score: Math.round(Math.min(Math.max(s.similarity, 0), SEMANTIC_MAX_SCORE) * 100) / 100,
+      why: [similarity], similarity: s.similarity, rrf: 1 / (RRF_K + i + 1) });
+  });
+  return Array.from(fused.values()).sort((a, b) => b.rrf - a.rrf).slice(0, limit).map(({ rrf: _r, ...r }) => r);
+}
+
+// Kandidaten für Modell, Offline-Rangliste und Katalogsuche; eindeutige Regeltreffer (Pos.-Nr., Blutabnahme,
+// catalog_rules.json) bleiben unverändert, ein eindeutiger Texttreffer (clearTop) bleibt vorn
+async function findCandidates(userText, payer, limit = 12, scope = {}) {
+  const lexical = rankCandidates(userText, payer, limit, scope);
+  if (!vectorIndex || (lexical[0] && lexical[0].preferred)) return lexical;
+  const semantic = await semanticCandidates(userText, payer, limit, scope);
+  if (!semantic.length) return lexical;
+  const fused = fuseRankings(lexical, semantic, limit);
+  const top = clearTop(lexical);
+  if (!top) return fused;
+  return [fused.find((r) => r.item === top.item) || top, ...fused.filter((r) => r.item !== top.item)].slice(0, limit);
+}
+
 // --- AddOns ---
-function findByTitleContains(payer, patterns = []) {
+function findByTitleContains(payer, patterns = [], scope = {}) {
   const pats = patterns.map((p) => norm(p));
-  const items = catalogIndex.items.filter((x) => !payer || samePayer(x.payer, payer));
+  const items = catalogItemsFor(payer, scope);
   for (const it of items) if (pats.some((p) => norm(it.title).includes(p))) return it;
   return null;
 }
-function deriveAddOns(userText, payer) {
+// ruleCtx: Zusatzleistungen, die zusammen mit „chosen“ eine Abrechnungsregel verletzen, fallen weg
+// (Begründung landet in ruleCtx.notices); bei Folgebesuch im Quartal laut Fallkontext keine Erstordination
+const isFirstContactItem = (it) => /erst(kontakt)?ordination/.test(norm(it.title));
+function deriveAddOns(userText, payer, scope = {}, ruleCtx = null, chosen = []) {
   const add = [];
   const t = norm(userText);
 
   if (/(erst|erstord|erstvorstellung|neu\b|neu-patient)/.test(t)) {
-    const eo = findByTitleContains(payer, ["erstordination"]);
-    const kz = findByTitleContains(payer, ["koordinationszuschlag", "koordination"]);
+    const eo = findByTitleContains(payer, ["erstordination", "erstkontaktordination"], scope);
+    const kz = findByTitleContains(payer, ["koordinationszuschlag", "koordination"], scope);
     if (eo) add.push(eo);
     if (kz) add.push(kz);
   }
   if (/(befund|bericht|arztbrief)/.test(t)) {
-    const bb = findByTitleContains(payer, ["befundbericht", "befund-bericht", "bericht"]);
+    const bb = findByTitleContains(payer, ["befundbericht", "befund-bericht", "bericht"], scope);
     if (bb) add.push(bb);
   }
   if (/(ekg)/.test(t) && /(lang|streifen|verl|minute|min|24|holter)/.test(t)) {
-    const ls = findByTitleContains(payer, ["langer ekg", "ekg lang", "langstreifen", "verlangerter ekg"]);
+    const ls = findByTitleContains(payer, ["langer ekg", "ekg lang", "langstreifen", "verlangerter ekg"], scope);
     if (ls) add.push(ls);
   }
-  return add;
+  if (!ruleCtx) return add;
+  const notices = ruleCtx.notices || (ruleCtx.notices = []);
+  const earlier = ruleCtx.case?.contactThisQuarter;
+  const candidates = add.filter((it) => {
+    if (!(ruleCtx.case?.returning && isFirstContactItem(it))) return true;
+    notices.push(caseNotice(it.pos, `Pos. ${it.pos} entfällt: Folgebesuch im Quartal (Kontakt am ${earlier}).`));
+    return false;
+  });
+  const { addOns, dropped, reasons } = admissibleAddOns(candidates, chosen, billingRules, ruleCtx);
+  for (const it of dropped) {
+    const why = reasons.find((v) => v.pos.some((p) => String(p).toLowerCase() === String(it.pos).toLowerCase()));
+    if (!why) continue;
+    notices.push({ ...why, severity: "hint", pos: [String(it.pos)], message: `Zusatzleistung Pos. ${it.pos} entfällt: ${why.message}` });
+  }
+  return addOns;
 }
 function mergeCandidates(candidates, addOns) {
   const seen = new Set(candidates.map((c) => String(c.pos)));
@@ -363,59 +742,676 @@ function mergeCandidates(candidates, addOns) {
   return candidates;
 }
 
-// Früh-Rückfragen
-function earlyQuestion(userText = "", payerDetected = null) {
-  const n = norm(userText);
-  const intent = bloodIntent(n);
-  const vFlag = hasVenousFlag(n);
-  const kFlag = hasCapillaryFlag(n);
-  const missingPayer = !payerDetected;
+// Früh-Rückfragen: alle fehlenden Slots der angesprochenen Leistungsfamilien (scripts/rules/slots.json)
+function earlyQuestions(userText = "") {
+  return slotEngine.missingQuestions(userText, slotModel);
+}
+function indexPayers() {
+  return Array.from(new Set(catalogIndex.items.map((i) => mapToCanonicalPayer(i.payer)))).sort();
+}
+function payerQuestion(text) {
+  return ask("payer", text, indexPayers());
+}
+
+// ------------------ Gespräche: Verlauf, offene Rückfragen, Slots (lib/conversationStore.js) ------------------
+// Clients ohne conversationId: eine offene Rückfrage der letzten 5 Minuten gilt als Fortsetzung
+const FOLLOWUP_TTL_MS = 5 * 60 * 1000;
+const conversations = createConversationStore(process.env, { log });
+function sessionKey(req) { return req?.user?.id || req?.user?.email || req.ip; }
+
+// Rückfrage-ID → Slot (bei mehreren Leistungen mit Präfix, z. B. „s2.bloodDraw“);
+// Leistungs-Slots kommen aus scripts/rules/slots.json, hier nur die übrigen Rückfragen
+const SLOT_NAMES = { payer: "payer", region: "region", service: "service", position: "position" };
+const splitQuestionId = (id) => { const m = /^(s\d+)_(.+)$/.exec(id); return m ? { prefix: m[1], base: m[2] } : { prefix: null, base: id }; };
+function slotName(questionId) {
+  const { prefix, base } = splitQuestionId(questionId);
+  const name = slotEngine.slotNameFor(base, slotModel) || SLOT_NAMES[base] || base;
+  return prefix ? `${prefix}.${name}` : name;
+}
+const knownQuestion = (id) => id in SLOT_NAMES || Boolean(slotEngine.slotNameFor(id, slotModel));
+// Slots, die direkt als Träger/Bundesland weitergehen statt an die Eingabe angehängt zu werden
+const STRUCTURED_SLOTS = ["payer", "region"];
+
+// Gespräch laden (conversationId) bzw. fortsetzen oder neu anlegen → null bei unbekannter/fremder ID
+async function openConversation(req) {
+  const owner = sessionKey(req);
+  const id = req.body?.conversationId;
+  if (id) {
+    const c = CONVERSATION_ID.test(String(id)) ? await conversations.get(String(id)) : null;
+    return c && c.owner === owner ? c : null;
+  }
+  const last = await conversations.latest(owner, FOLLOWUP_TTL_MS);
+  return last && last.pending.length ? last : newConversation(owner);
+}
+
+// Antworten den offenen Rückfragen zuordnen: explizit (answers: { frageId: wert }, auch vorab für bekannte
+// Fragen wie payer oder blood_draw), über die Antwortoptionen bzw. die Wörter des Slot-Modells
+// („kapillar“, „über 20 min“ – auch mehrere Fragen auf einmal) oder – bei genau einer offenen Frage – als Freitext.
+// → [{ question, value, fromPrompt }]
+function matchAnswers(pending, prompt, explicit) {
+  const out = [];
+  for (const [id, value] of Object.entries(explicit || {})) {
+    const question = pending.find((q) => q.id === id) || (knownQuestion(id) ? { id, options: [] } : null);
+    if (question && String(value ?? "").trim()) out.push({ question, value: String(value).trim(), fromPrompt: false });
+  }
+  if (!prompt) return out;
+  const open = pending.filter((q) => !out.some((a) => a.question === q));
+  const same = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+  const optionFor = (q) => {
+    const exact = q.options.find((o) => same(o.value, prompt) || same(o.label, prompt));
+    if (exact) return exact;
+    const parsed = slotEngine.parseAnswer(splitQuestionId(q.id).base, prompt, slotModel);
+    // bei mehreren Leistungen tragen die Optionswerte die Leistung als Präfix
+    return parsed ? q.options.find((o) => o.value === parsed || o.value.endsWith(` ${parsed}`)) || { value: parsed } : null;
+  };
+  const byOption = open.map((q) => ({ question: q, option: optionFor(q) })).filter((x) => x.option);
+  if (byOption.length) {
+    for (const { question, option } of byOption) out.push({ question, value: option.value, fromPrompt: true });
+  } else if (open.length === 1 && !out.length) {
+    out.push({ question: open[0], value: prompt, fromPrompt: true });
+  }
+  return out;
+}
+
+// Antworten als Slots ablegen und die Eingabe für diese Runde bilden:
+// bisherige Eingabe + Antworten (außer Träger/Bundesland) + übriger Freitext
+function applyTurn(conv, prompt, explicit) {
+  const answered = matchAnswers(conv.pending, prompt, explicit);
+  for (const a of answered) conv.slots[slotName(a.question.id)] = a.value;
+  conv.turns.push({ role: "user", at: new Date().toISOString(), text: prompt || "",
+    answers: answered.map((a) => ({ id: a.question.id, slot: slotName(a.question.id), value: a.value })) });
+
+  const parts = [conv.prompt || ""];
+  const values = answered.filter((a) => !STRUCTURED_SLOTS.includes(slotName(a.question.id)));
+  // Antworten zu mehreren Leistungen bleiben getrennte Leistungen (siehe splitServices)
+  const perService = values.some((a) => splitQuestionId(a.question.id).prefix);
+  if (values.length) parts.push(values.map((a) => a.value).join(perService ? ", " : " "));
+  if (prompt && !answered.some((a) => a.fromPrompt)) parts.push(prompt);
+  conv.prompt = null;
+  return parts.filter(Boolean).join(" ").trim();
+}
+
+// offene Eingabe für die nächste Runde (Rückfrage) bzw. keine (Vorschlag)
+function setPendingPrompt(res, prompt) { if (res.locals.conversation) res.locals.conversation.prompt = prompt; }
+function clearPendingPrompt(res) { if (res.locals.conversation) res.locals.conversation.prompt = null; }
+
+// Antwort des Servers im Verlauf festhalten und speichern → conversationId (null, wenn Speichern scheitert)
+async function persistConversation(res, result = null) {
+  const conv = res.locals.conversation;
+  if (!conv) return null;
+  if (result) {
+    conv.pending = result.status === "question" ? result.questions : [];
+    if (result.payer) conv.slots.payer = result.payer;
+    if (result.region) conv.slots.region = result.region;
+    conv.turns.push({ role: "assistant", at: new Date().toISOString(), status: result.status, message: result.message || "",
+      questions: result.questions.map((q) => ({ id: q.id, text: q.text })),
+      positions: result.positions.map((p) => ({ pos: p.pos, quantity: p.quantity })) });
+  }
+  try {
+    await conversations.save(conv);
+    return conv.id;
+  } catch (e) {
+    log("Gespräch nicht gespeichert:", conversations.name, e?.message || e);
+    return null;
+  }
+}
+
+// Hinweis aus dem Fallkontext (gleiche Form wie ein Regelverstoß)
+const caseNotice = (pos, message) => ({ ruleId: "fallkontext", type: "case", severity: "hint", pos: [String(pos)], message, source: "Fallkontext" });
+
+// Antwort: Struktur + Markdown-Ansicht (output) für bestehende Clients.
+// Jeder Vorschlag läuft durch die Regelprüfung (billing_rules.json) und bekommt Eurobeträge (punktwerte.json);
+// Kontext aus res.locals.ruleContext.
+// Mit Gespräch (res.locals.conversation) wird die Runde gespeichert und conversationId mitgeschickt.
+async function sendResult(res, result, extra = {}) {
+  const ctx = res.locals.ruleContext || { payer: result.payer, region: result.region, serviceDate: result.serviceDate };
+  const violations = result.positions.length ? checkPositions(result.positions, billingRules, ctx) : [];
+  if (ctx.case?.returning) {
+    for (const p of result.positions.filter(isFirstContactItem)) {
+      violations.push(caseNotice(p.pos, `Pos. ${p.pos}: laut Fall bereits Kontakt am ${ctx.case.contactThisQuarter} im selben Quartal – Erstordination nur beim ersten Kontakt im Quartal.`));
+    }
+  }
+  violations.push(...(ctx.notices || []));
+  const checked = priceResult({ ...result, violations }, punktwerte, ctx);
+  const conversationId = await persistConversation(res, checked);
+  return res.json({ ...checked, output: renderMarkdown(checked), ...extra, ...(conversationId ? { conversationId } : {}) });
+}
+
+// === Offline-Modus: Antwort nur aus Regeln und Fuzzy-Suche ===
+// Vorschlag nur bei eindeutigem Treffer, sonst Rückfrage mit den gerankten Kandidaten als Optionen
+const OFFLINE_MIN_SCORE = 0.6;
+const OFFLINE_MIN_MARGIN = 0.1;
+// eindeutiger Spitzenkandidat oder null
+function clearTop(ranked) {
+  const [top] = ranked;
+  // dieselbe Pos.-Nr. aus mehreren Quellen (Honorarordnung + Innomed-Export, „1c“/„1C“) ist keine Konkurrenz
+  const second = top && ranked.find((r) => String(r.item.pos).toLowerCase() !== String(top.item.pos).toLowerCase());
+  const clear = top && (top.preferred || (top.score >= OFFLINE_MIN_SCORE && (!second || top.score - second.score >= OFFLINE_MIN_MARGIN)));
+  return clear ? top : null;
+}
+function offlineResult(ranked, addOns, base, ruleCtx = base) {
+  const top = clearTop(ranked);
+  if (top) {
+    const extra = admissibleAddOns(addOns.filter((it) => String(it.pos) !== String(top.item.pos)), [top.item], billingRules, ruleCtx).addOns;
+    return suggestion({ ...base, positions: [
+      positionFromItem(top.item, { reason: top.why.join("; ") }),
+      ...extra.map((it) => positionFromItem(it, { reason: "Zusatzleistung laut Eingabe" }))
+    ] });
+  }
+  const options = new Map(ranked.map((r) => [String(r.item.pos), { value: `Pos. ${r.item.pos}`, label: `${r.item.pos} – ${r.item.title}` }]));
+  return question({ ...base, questions: [ask("position", "Welche Position ist gemeint?", Array.from(options.values()))] });
+}
+// Rangliste für die Antwort (auch im LLM-Modus zur Nachvollziehbarkeit)
+function rankedView(ranked, addOns) {
+  const seen = new Set(ranked.map((r) => String(r.item.pos)));
+  return [
+    ...ranked.map((r) => ({ ...positionFromItem(r.item, { reason: r.why.join("; ") }), score: r.score })),
+    ...addOns.filter((it) => !seen.has(String(it.pos)))
+      .map((it) => ({ ...positionFromItem(it, { reason: "Zusatzleistung laut Eingabe" }), score: null }))
+  ];
+}
+
+// === Deterministisch: Blutabnahme (venös/kapillar) → { item, reason } | null ===
+function bloodShortcut(text, payer, scope) {
+  const nt = norm(text);
+  if (!payer || !bloodIntent(nt)) return null;
+  const vFlag = hasVenousFlag(nt);
+  const kFlag = hasCapillaryFlag(nt);
+  const { inOrd, inLab } = detectSetting(nt);
+
+  let items = catalogItemsFor(payer, scope);
+  if (inOrd && !inLab) items = items.filter((it) => !/\blabor\b/i.test(it.title));
+  else if (inLab && !inOrd) items = items.filter((it) => /\blabor\b/i.test(it.title));
+
+  const venous = items.filter(isVenousDraw);
+  const exactVene = vFlag ? pickForChildren(venous, nt, scope.age) : null;
+  const exactKap  = kFlag ? pickForChildren(items.filter(isCapillaryDraw), nt, scope.age) : null;
+
+  let exact = exactVene || exactKap;
+  if (!exact && inOrd && !inLab) exact = pickForChildren(venous, nt, scope.age);
+  if (!exact) return null;
+  return { item: exact, reason: exactVene ? "venöse Blutentnahme" : exactKap ? "kapillare Blutentnahme" : "Blutentnahme in der Ordination" };
+}
+
+// === Diagnosen → typische Leistungen (scripts/rules/diagnoses.json) ===
+// je Leistungstext eines Bündels der beste Katalogtreffer (dieselbe Suche wie für Eingaben) → [{ service, label, item }];
+// nur zur Vorschau – die gewählten Leistungen laufen danach regulär durch die Auflösung (ggf. mit Rückfrage).
+// Treffer zählt bei Regel/exakter Nennung oder wenn der Leistungstext das Hauptwort (längstes Wort) enthält;
+// Leistungen ohne solchen Treffer beim Träger (bzw. mit bereits gefundener Position) entfallen
+function bundleHit(ranked, service) {
+  const [top] = ranked;
+  if (!top) return null;
+  if (top.preferred) return top;
+  const main = norm(service).split(/[\s_]+/).sort((a, b) => b.length - a.length)[0];
+  return main && norm(top.item.title).split(" ").some((w) => w.startsWith(main)) ? top : null;
+}
+async function bundleCandidates(bundles, payer, scope) {
+  const out = [];
+  for (const b of bundles) {
+    for (const service of b.services) {
+      if (out.some((x) => x.service === service)) continue;
+      const top = bundleHit(await findCandidates(service, payer, 3, scope), service);
+      if (!top || out.some((x) => x.item === top.item)) continue;
+      out.push({ service, label: b.label, item: top.item });
+    }
+  }
+  return out;
+}
+// Rückfrage „welche wurden erbracht?“ mit den Treffern als vorläufigen Positionen; „alle“ schickt alle Leistungen zurück
+function diagnosisQuestion(bundles, found, base) {
+  const services = found.map((f) => f.service);
+  const notes = bundles.filter((b) => b.note).map((b) => `${b.label}: ${b.note}.`);
+  return question({ ...base,
+    positions: found.map((f) => positionFromItem(f.item, { reason: `typisch bei ${f.label}` })),
+    message: ["Typische Leistungen zur Diagnose – abrechnen nur, was erbracht wurde.", ...notes].join(" "),
+    questions: [ask("diagnosis_services", `Typische Leistungen bei **${bundles.map((b) => b.label).join(", ")}** – welche wurden erbracht?`,
+      [...(services.length > 1 ? [{ value: services.join(", "), label: "alle" }] : []), ...services])] });
+}
+
+// === Textstellen zu den Kandidaten (nur im LLM-Modus; Suche nur mit Katalogtexten) ===
+// → Fundstellen [{ id, file, page, passage, score, pos }]; ein Fehler der Suche hält die Antwort nicht auf
+const GROUNDING_CANDIDATES = 5;
+async function groundingFor(items, offset = 0) {
+  if (retriever.name === "off") return [];
+  try {
+    return await citationsFor(items.slice(0, GROUNDING_CANDIDATES), retriever, { offset });
+  } catch (e) {
+    log("Textstellen-Suche fehlgeschlagen:", retriever.name, e?.message || e);
+    return [];
+  }
+}
+// Fundstellen zu den vorgeschlagenen Positionen; bei Rückfragen alle
+function citedFor(result, citations) {
+  if (!result.positions.length) return citations;
+  const chosen = new Set(result.positions.map((p) => String(p.pos)));
+  return citations.filter((c) => c.pos.some((pos) => chosen.has(pos)));
+}
+
+// === Modellaufruf: Kandidaten mit IDs → geprüftes Ergebnis; wirft LlmError ===
+// patient: { age, sex, icd, diagnoses } aus dem Request → Zeile im Prompt (Leistungsbündel nur als Hinweis)
+const SEX_LABELS = { w: "weiblich", m: "männlich", d: "divers" };
+function patientLine(patient) {
+  if (!patient) return "";
+  const parts = [
+    patient.age !== null ? `${patient.age} Jahre` : null,
+    patient.sex ? SEX_LABELS[patient.sex] : null,
+    patient.icd.length ? `ICD-10 ${patient.icd.join(", ")}` : null,
+    patient.diagnoses.length ? `Diagnosegruppen: ${patient.diagnoses.map((d) => d.label).join(", ")} (typische Leistungen sind Kandidaten, aber nur abzurechnen, wenn laut Eingabe erbracht)` : null
+  ].filter(Boolean);
+  return parts.length ? `Patient:in: ${parts.join("; ")}\n` : "";
+}
+function modelMessages(text, candidates, serviceDate, citations = [], patient = null) {
+  const gatingRules = `
+DU DARFST AUSSCHLIESSLICH AUS DIESEN KANDIDATEN AUSWÄHLEN ODER ZUERST RÜCKFRAGEN STELLEN (ID | Träger | Pos.-Nr | Leistungstext | Punkte/€ | Hinweis):
+${withIds(candidates).map(({ id, item: c }) => `- ${id} | ${c.payer}${c.region ? ` (${c.region})` : ""} | ${c.pos} | ${c.title} | ${c.points || ""}${c.notes ? " | " + c.notes : ""}`).join("\n")}
+Leistungsdatum: ${serviceDate} (Kandidaten stammen aus der an diesem Tag gültigen Tarifversion)
+${patientLine(patient)}Wenn die Eingabe unklar ist, STELLE ZUERST GEZIELTE RÜCKFRAGEN (z. B. Gesprächsdauer, Träger, Technik).
+Wähle Positionen IMMER über die ID aus dieser Liste.
+`;
+  const passages = citations.length ? `
+AUSZÜGE AUS DEN TARIFBESTIMMUNGEN (beachte Limitierungen und Kombinationsverbote, z. B. „nicht neben“, „einmal im Monat“; nenne in der Begründung die Fundstelle, z. B. [q1]):
+${citations.map((c) => `[${c.id}] ${c.file}${c.page ? `, S. ${c.page}` : ""} (zu Pos. ${c.pos.join(", ")}): ${c.passage}`).join("\n")}
+` : "";
+  return [
+    { role: "system", content: SYSTEM_PROMPT + "\n" + gatingRules + passages },
+    { role: "user", content: text },
+  ];
+}
+async function askModel(text, candidates, base, citations = [], patient = null) {
+  const data = await llm.complete({ messages: modelMessages(text, candidates, base.serviceDate, citations, patient), responseFormat: ANSWER_SCHEMA, temperature: 0.2, maxTokens: 1000 });
+  if (!data.content) throw new LlmError("Leere Antwort vom Modell.");
+  const { result, rejected, error } = parseModelAnswer(data.content, candidates, base);
+  if (error) {
+    log("Modellantwort verworfen:", error, data.content.slice(0, 200));
+    throw new LlmError(error);
+  }
+  if (rejected.length) log("Unbekannte Kandidaten-IDs verworfen:", rejected.join(", "));
+  return { result, usage: data.usage };
+}
+
+// === Konsultation mit mehreren Leistungen ===
+// bester Katalogtreffer eines Eingabeteils → { key, score } | null; entscheidet in splitServices, ob getrennt wird
+function serviceMatch(text, payer, scope) {
+  const blood = bloodShortcut(text, payer, scope);
+  if (blood) return { key: String(blood.item.pos).toLowerCase(), score: 1 };
+  const [top] = rankCandidates(text, payer, 1, scope);
+  return top ? { key: String(top.item.pos).toLowerCase(), score: top.score } : null;
+}
+// Je Leistung: Regel (Blutabnahme) → Rückfragen → Fuzzy-Rangliste → Modell (nur wenn nötig und im LLM-Modus).
+// → { positions } | { questions }, Positionen tragen Anzahl und Leistungstext; citations aus dem Modellaufruf
+async function resolveService(svc, { payer, scope, base, mode, citeOffset = 0 }) {
+  // Anzahl, die schon im Anzahlbereich der Position steckt („3 Nähte“ → „bis 4 Nähte“), zählt einmal
+  const perItem = (p) => {
+    const range = countRange(p.title);
+    return range && inCountRange(range, svc.quantity) ? 1 : svc.quantity;
+  };
+  const tag = (p, quantity = perItem(p)) => ({ ...p, quantity, service: svc.text });
+  const blood = bloodShortcut(svc.text, payer, scope);
+  if (blood) return { positions: [tag(positionFromItem(blood.item, { reason: blood.reason }))] };
+
+  const early = earlyQuestions(svc.text);
+  if (early.length) return { questions: early };
+
+  const ranked = await findCandidates(svc.text, payer, 12, { ...scope, quantity: svc.quantity });
+  if (!ranked.length) {
+    return { questions: [ask("service", "Keine passende Katalogposition gefunden – bitte genauer beschreiben.")] };
+  }
+  const offline = offlineResult(ranked, [], base);
+  if (offline.status === "suggestion") return { positions: offline.positions.map((p) => tag(p)) };
+  if (mode !== "llm") return { questions: offline.questions };
 
+  const items = ranked.map((r) => r.item);
+  const citations = await groundingFor(items, citeOffset);
+  try {
+    const { result, usage } = await askModel(svc.text, items, base, citations);
+    if (result.status === "suggestion") {
+      // vom Modell genannte Anzahl nur, wenn die Eingabe keine enthält
+      return { positions: result.positions.map((p) => tag(p, svc.quantity > 1 ? perItem(p) : p.quantity)), usage, citations: citedFor(result, citations), citeCount: citations.length };
+    }
+    return { questions: result.questions, usage, citations, citeCount: citations.length };
+  } catch (e) {
+    if (!(e instanceof LlmError)) throw e;
+    log("LLM-Fehler", llm.name, e.status || "", e.message, e.body || "");
+    return { questions: offline.questions, fallbackReason: `${llm.name}: ${e.message}` };
+  }
+}
+
+const addUsage = (a, b) => {
+  if (!b) return a;
+  const sum = { ...(a || {}) };
+  for (const k of ["prompt_tokens", "completion_tokens", "total_tokens"]) sum[k] = (sum[k] || 0) + (b[k] || 0);
+  return sum;
+};
+
+async function billConsultation(services, userInput, { payer, scope, base, ruleCtx, mode, user }) {
+  if (mode === "llm") log("Konsultation mit mehreren Leistungen", { services: services.length, provider: llm.name, user: user?.email || "unbekannt" });
+  const positions = [];
   const questions = [];
-  if (intent && !vFlag && !kFlag) questions.push("War es eine **venöse** oder **kapillare** Blutentnahme?");
-  if (intent && missingPayer) questions.push("Bitte gib den **Versicherungsträger** an (z. B. ÖGK, BVAEB, SVS).");
-  if (/\b(gespraech|angehoerig)\b/.test(n) && !/\b(min|minute|stunden?|std|ueber 20|bis 20)\b/.test(n)) {
-    questions.push("Wie lange hat das Angehörigengespräch gedauert? (**bis 20 Minuten** / **über 20 Minuten**)");
+  let open = 0;
+  let usage = null;
+  let fallbackReason = null;
+  const citations = [];
+  let citeCount = 0;
+  for (const [i, svc] of services.entries()) {
+    // Fundstellen-IDs laufen über alle Leistungen weiter (q1 … qn), damit Verweise in Begründungen eindeutig bleiben
+    const out = await resolveService(svc, { payer, scope, base, mode, citeOffset: citeCount });
+    usage = addUsage(usage, out.usage);
+    citations.push(...(out.citations || []));
+    citeCount += out.citeCount || 0;
+    fallbackReason = fallbackReason || out.fallbackReason || null;
+    if (out.positions) { positions.push(...out.positions); continue; }
+    open++;
+    // Antwortoptionen nennen die Leistung mit, damit die Antwort als präzisierte Leistung zurückkommt
+    const prefix = `${svc.quantity > 1 ? `${svc.quantity}× ` : ""}${svc.text}`;
+    for (const q of out.questions) {
+      questions.push(ask(`s${i + 1}_${q.id}`, `**${svc.text}:** ${q.text}`,
+        q.options.map((o) => ({ value: `${prefix} ${o.value}`, label: o.label }))));
+    }
+  }
+
+  // Zusatzleistungen (Erstordination → Koordinationszuschlag usw.) einmal für die ganze Eingabe
+  const seen = new Set(positions.map((p) => p.pos));
+  for (const it of deriveAddOns(userInput, payer, scope, ruleCtx, positions)) {
+    if (seen.has(String(it.pos))) continue;
+    seen.add(String(it.pos));
+    positions.push({ ...positionFromItem(it, { reason: "Zusatzleistung laut Eingabe" }), service: null });
   }
-  if (/\b(harn|urin|streifen)\b/.test(n) && !/\b(ord|ordination|labor)\b/.test(n)) {
-    questions.push("Meinst du **Harnstreifentest in der Ordination** oder **Laboruntersuchung**?");
-    if (missingPayer) questions.push("Bitte zusätzlich den **Versicherungsträger** angeben.");
+
+  const result = questions.length
+    ? question({ ...base, questions, positions, message: `${services.length - open} von ${services.length} Leistungen zugeordnet.` })
+    : suggestion({ ...base, positions });
+  return { result: citations.length ? { ...result, citations } : result, usage, fallbackReason };
+}
+
+// === Katalog direkt: Suche und Positionsdetails (ohne LLM) ===
+// Synonyme aus synonyms.json, über die ein Suchbegriff den Titel bzw. das Kürzel (syn) trifft
+function synonymHits(query, it) {
+  const title = norm(it.title);
+  const hits = [];
+  for (const term of Array.from(new Set(norm(query).split(" "))).filter((t) => t.length > 1)) {
+    for (const syn of getSynonymsFor(term)) if (title.includes(norm(syn))) hits.push({ term, synonym: syn });
+    if (it.syn && norm(it.syn) === term) hits.push({ term, synonym: it.syn });
   }
-  return questions.length ? questions.join(" ") : null;
+  return hits;
 }
+const itemView = (it) => ({
+  payer: mapToCanonicalPayer(it.payer),
+  region: it.region || null,
+  pos: String(it.pos),
+  title: it.title,
+  points: it.points,
+  amount: it.amount || null,
+  specialties: it.specialties || [],
+  syn: it.syn || null,
+  notes: it.notes || "",
+  remarks: it.remarks || "",
+  source: it.source || null,
+  page: it.page ?? null,
+  snippet: it.snippet || "",
+  version: it.version || null,
+  validFrom: it.validFrom || null,
+  validTo: it.validTo || null,
+  lookup: it.lookup || "default"
+});
 
-// ------------------ Follow-up Kontext (5 Minuten) ------------------
-const FOLLOWUP_TTL_MS = 5 * 60 * 1000;
-const sessionStore = new Map();
-function sessionKey(req) { return req?.user?.id || req?.user?.email || req.ip; }
-function getPendingPrompt(req) {
-  const k = sessionKey(req); const s = sessionStore.get(k);
-  if (s && Date.now() - s.ts < FOLLOWUP_TTL_MS) return s.prompt;
-  sessionStore.delete(k); return null;
+// gemeinsame Query-Parameter: payer, region, date, exports=1 (Praxisexporte einbeziehen) → { payer, region, date, exports } oder { error }
+function catalogScope(query, payerRaw = query.payer) {
+  const payer = payerRaw ? mapToCanonicalPayer(payerRaw) : null;
+  if (payerRaw && !indexPayers().includes(payer)) return { error: `Unbekannter Träger: ${payerRaw} (${indexPayers().join(", ")})` };
+  const region = query.region ? mapToCanonicalRegion(query.region) : null;
+  if (query.region && !region) return { error: `Unbekanntes Bundesland: ${query.region}` };
+  const date = query.date ? parseServiceDate(query.date) : todayIso();
+  if (!date) return { error: "Ungültiges Datum: JJJJ-MM-TT oder TT.MM.JJJJ" };
+  return { payer, region, date, exports: query.exports === "1" };
 }
-function setPendingPrompt(req, prompt) { sessionStore.set(sessionKey(req), { prompt, ts: Date.now() }); }
-function clearPendingPrompt(req) { sessionStore.delete(sessionKey(req)); }
+
+// GET /api/catalog/search?q=&payer=&region=&date=&exports=&limit=
+app.get("/api/catalog/search", requireAuth, async (req, res) => {
+  const q = String(req.query.q || "").trim();
+  if (!q) return res.status(400).json({ error: "Fehlender Parameter: q" });
+  const scope = catalogScope(req.query);
+  if (scope.error) return res.status(400).json({ error: scope.error });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+  const items = catalogItemsFor(scope.payer, { serviceDate: scope.date, region: scope.region, exports: scope.exports });
+  // Pos.-Nr. oder Katalogkürzel (z. B. „KBB“) genau getroffen → vor den Textsuche-Treffern
+  const exact = items.filter((it) => String(it.pos).toLowerCase() === q.toLowerCase() || (it.syn && norm(it.syn) === norm(q)))
+    .map((it) => ({ item: it, score: 1, preferred: true, why: [String(it.pos).toLowerCase() === q.toLowerCase() ? "Pos.-Nr. genau getroffen" : `Kürzel ${it.syn}`] }));
+  const ranked = exact.concat((await findCandidates(q, scope.payer, limit, { serviceDate: scope.date, region: scope.region, exports: scope.exports }))
+    .filter((r) => !exact.some((e) => e.item === r.item))).slice(0, limit);
+  res.json({
+    query: q,
+    ...scope,
+    catalogVersion: catalogIndex.version || null,
+    results: ranked.map((r) => ({
+      ...itemView(r.item),
+      score: r.score,
+      fuseScore: r.fuseScore ?? null,
+      similarity: r.similarity ?? null,
+      preferred: Boolean(r.preferred),
+      why: r.why,
+      synonymHits: synonymHits(q, r.item)
+    }))
+  });
+});
+
+// GET /api/catalog/:payer/:pos?region=&date=&exports= – alle am Stichtag gültigen Einträge (je Landesstelle) und die zugehörigen Regeln
+app.get("/api/catalog/:payer/:pos", requireAuth, (req, res) => {
+  const scope = catalogScope(req.query, req.params.payer);
+  if (scope.error) return res.status(400).json({ error: scope.error });
+  const pos = String(req.params.pos).trim().toLowerCase();
+  const items = catalogItemsFor(scope.payer, { serviceDate: scope.date, region: scope.region, exports: scope.exports })
+    .filter((it) => String(it.pos).toLowerCase() === pos);
+  if (!items.length) return res.status(404).json({ error: `Pos. ${req.params.pos} für ${scope.payer} nicht gefunden` });
+  const mentions = (list) => (list || []).some((p) => String(p).toLowerCase() === pos);
+  res.json({
+    ...scope,
+    pos: String(items[0].pos),
+    catalogVersion: catalogIndex.version || null,
+    items: items.map(itemView),
+    rules: {
+      billing: (billingRules || []).filter((r) => samePayer(r.payer, scope.payer) && sameRegion(r, scope.region) && (mentions(r.pos) || mentions(r.with))),
+      catalog: (rules || []).filter((r) => (!r.payer || samePayer(r.payer, scope.payer)) && mentions(r.prefer))
+    }
+  });
+});
+
+// === Trägervergleich: eine Leistung über alle Träger (und Landesstellen), ohne LLM ===
+// im Text genannte Träger („ÖGK vs. BVAEB“), sonst alle aus dem Index
+function payersInText(text = "") {
+  const t = ` ${norm(text)} `;
+  return Object.entries(PAYER_SYNONYMS).filter(([, syns]) => syns.some((w) => t.includes(` ${w} `))).map(([canon]) => canon);
+}
+const COMPARE_WORDS = new Set(["vs", "versus", "vergleich", "vergleichen", "oder", "und", "bei", "bringt", "was"]);
+function compareText(text) {
+  const ctx = contextWords();
+  const drop = (w) => !norm(w) || norm(w).split(" ").some((x) => ctx.has(x) || COMPARE_WORDS.has(x));
+  return String(text).replace(/[?!.,;:]/g, " ").split(/\s+/).filter((w) => w && !drop(w)).join(" ");
+}
+// Zeilen je Träger: mit Landestarifen je Bundesland (bundesweite Positionen gelten dort mit) und eine Zeile „bundesweit“
+function compareScopes(payer, regionFilter) {
+  const regions = regionsForPayer(payer).filter((r) => !regionFilter.length || regionFilter.includes(r));
+  if (!regionsForPayer(payer).length) return [{ region: null }];
+  const nationwide = catalogItemsFor(payer, { nationwide: true }).length ? [{ region: null, nationwide: true }] : [];
+  return [...nationwide, ...regions.map((region) => ({ region }))];
+}
+function compareRow(text, payer, scope, serviceDate) {
+  const ranked = rankCandidates(text, payer, 5, { ...scope, serviceDate });
+  const top = clearTop(ranked);
+  const view = (r) => ({ ...positionFromItem(r.item, { reason: r.why.join("; ") }), score: r.score });
+  const alternatives = Array.from(new Map(ranked.map((r) => [String(r.item.pos), r])).values()).slice(0, 3).map(view);
+  return {
+    payer,
+    region: scope.region,
+    nationwide: Boolean(scope.nationwide),
+    status: top ? "match" : ranked.length ? "ambiguous" : "none",
+    position: top ? view(top) : null,
+    alternatives: top ? [] : alternatives
+  };
+}
+
+// POST /api/compare { prompt, payers?, regions?, serviceDate? }
+app.post("/api/compare", requireAuth, (req, res) => {
+  const prompt = String(req.body?.prompt || "").trim();
+  if (!prompt) return res.status(400).json({ error: "Fehlendes Feld: prompt" });
+  const serviceDate = req.body?.serviceDate ? parseServiceDate(req.body.serviceDate) : todayIso();
+  if (!serviceDate) return res.status(400).json({ error: "Ungültiges Leistungsdatum (serviceDate): JJJJ-MM-TT oder TT.MM.JJJJ" });
+  const known = indexPayers();
+  const wanted = Array.isArray(req.body?.payers) && req.body.payers.length
+    ? req.body.payers.map((p) => mapToCanonicalPayer(p))
+    : payersInText(prompt).length > 1 ? payersInText(prompt) : known;
+  const regionFilter = (Array.isArray(req.body?.regions) ? req.body.regions : []).map(mapToCanonicalRegion).filter(Boolean);
+  const service = compareText(prompt);
+  if (!service) return res.status(400).json({ error: "Keine Leistung erkannt – bitte die Leistung beschreiben (z. B. „venöse Blutabnahme“)" });
+
+  const rows = [];
+  for (const payer of Array.from(new Set(wanted))) {
+    if (!known.includes(payer)) { rows.push({ payer, region: null, status: "none", position: null, alternatives: [], note: "Träger nicht im Katalog" }); continue; }
+    for (const scope of compareScopes(payer, regionFilter)) rows.push(compareRow(service, payer, scope, serviceDate));
+  }
+  const result = { query: prompt, service, serviceDate, catalogVersion: catalogIndex.version || null, rows,
+    missing: Array.from(new Set(rows.filter((r) => r.status === "none").map((r) => r.payer))) };
+  res.json({ ...result, output: renderComparison(result) });
+});
+
+// === Export für die Praxissoftware (lib/billingExport.js, Vorlagen in scripts/rules/export_formats.json) ===
+app.get("/api/export/formats", requireAuth, (_req, res) => res.json(exportFormats(exportConfig)));
+
+// POST /api/export { format, payer, region?, serviceDate?, caseId?, positions: [{ pos, quantity }] }
+// Positionen werden gegen den Katalog geprüft und mit Text/Punkten aus dem Index ausgegeben
+app.post("/api/export", requireAuth, (req, res) => {
+  const body = req.body || {};
+  const format = String(body.format || "csv").toLowerCase();
+  const payer = body.payer ? mapToCanonicalPayer(body.payer) : null;
+  if (!payer || !indexPayers().includes(payer)) return res.status(400).json({ error: `Fehlender oder unbekannter Träger (payer): ${indexPayers().join(", ")}` });
+  const region = body.region ? mapToCanonicalRegion(body.region) : null;
+  const serviceDate = body.serviceDate ? parseServiceDate(body.serviceDate) : todayIso();
+  if (!serviceDate) return res.status(400).json({ error: "Ungültiges Leistungsdatum (serviceDate): JJJJ-MM-TT oder TT.MM.JJJJ" });
+  const caseIdError = body.caseId ? checkCaseId(body.caseId) : null;
+  if (caseIdError) return res.status(400).json({ error: caseIdError });
+  if (!Array.isArray(body.positions) || !body.positions.length) return res.status(400).json({ error: "Keine Positionen angegeben" });
+
+  const items = catalogItemsFor(payer, { serviceDate, region });
+  const positions = [];
+  const unknown = [];
+  for (const p of body.positions) {
+    const pos = String(p?.pos ?? "").trim();
+    const quantity = p?.quantity === undefined ? 1 : Number(p.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) return res.status(400).json({ error: `Pos. ${pos}: quantity muss eine ganze Zahl ≥ 1 sein` });
+    const it = items.find((x) => String(x.pos) === pos) || items.find((x) => String(x.pos).toLowerCase() === pos.toLowerCase());
+    if (!it) { unknown.push(pos || "(leer)"); continue; }
+    positions.push(positionFromItem(it, { quantity }));
+  }
+  if (unknown.length) return res.status(400).json({ error: `Nicht im Katalog (${payer}${region ? ` ${region}` : ""}, ${serviceDate}): ${unknown.join(", ")}` });
+
+  const proposal = { payer, region, serviceDate, caseId: body.caseId || null, catalogVersion: catalogIndex.version || null,
+    positions, totals: totalsOf(positions) };
+  const out = renderExport(proposal, format, exportConfig);
+  if (out.error) return res.status(400).json({ error: out.error });
+  const name = `abrechnung_${serviceDate}_${payer}${body.caseId ? `_${body.caseId}` : ""}.${out.extension}`;
+  res.set("Content-Disposition", `attachment; filename*=UTF-8''${encodeURIComponent(name)}`);
+  res.type(out.mime).send(out.body);
+});
+
+// === Gespräche fortsetzen bzw. zurücksetzen ===
+async function ownConversation(req, res) {
+  const id = String(req.params.id || "");
+  const c = CONVERSATION_ID.test(id) ? await conversations.get(id) : null;
+  if (!c || c.owner !== sessionKey(req)) { res.status(404).json({ error: "Gespräch nicht gefunden oder abgelaufen" }); return null; }
+  return c;
+}
+// Fortsetzen: Verlauf, offene Rückfragen und Slots; weiter mit POST /api/abrechnen { conversationId, prompt | answers }
+app.get("/api/conversations/:id", requireAuth, async (req, res) => {
+  try {
+    const c = await ownConversation(req, res); if (!c) return;
+    const { owner, ...view } = c;
+    res.json(view);
+  } catch (e) {
+    res.status(503).json({ error: `Gesprächsspeicher nicht erreichbar (${conversations.name}): ${e?.message || e}` });
+  }
+});
+// Zurücksetzen: Gespräch verwerfen
+app.delete("/api/conversations/:id", requireAuth, async (req, res) => {
+  try {
+    const c = await ownConversation(req, res); if (!c) return;
+    await conversations.remove(c.id);
+    res.status(204).end();
+  } catch (e) {
+    res.status(503).json({ error: `Gesprächsspeicher nicht erreichbar (${conversations.name}): ${e?.message || e}` });
+  }
+});
 
 // === API ENDPOINT ===
+// Jede Antwort (auch sendResult mit Speichern des Gesprächs) wird abgewartet; Fehler → 500, die Eingabe bleibt offen
 app.post("/api/abrechnen", requireAuth, async (req, res) => {
+  try {
+    await abrechnen(req, res);
+  } catch (error) {
+    log("Unhandled /api/abrechnen error:", error?.message || error);
+    if (res.headersSent) return;
+    if (res.locals.userInput) setPendingPrompt(res, res.locals.userInput);
+    await persistConversation(res);
+    res.status(500).json({ error: error?.message || "Unbekannter Serverfehler" });
+  }
+});
+
+async function abrechnen(req, res) {
   // 1) Eingabe & Basics prüfen
   let userInput = (req.body?.prompt || "").toString().trim();
-  if (!userInput) return res.status(400).json({ error: "Fehlendes Feld: prompt" });
-  if (!OPENAI_API_KEY) return res.status(500).json({ error: "Serverfehler: OPENAI_API_KEY fehlt" });
+  // Katalogversion bei Eingang der Anfrage; Kandidaten, Regeln und Preise lesen den jeweils aktiven Stand
+  // (ein Reload während des Modellaufrufs wirkt also schon auf die Prüfung dieser Antwort)
+  const catalogVersion = catalogIndex.version || null;
+  const answers = req.body?.answers && typeof req.body.answers === "object" && !Array.isArray(req.body.answers) ? req.body.answers : null;
+  if (!userInput && !answers) return res.status(400).json({ error: "Fehlendes Feld: prompt (oder answers)" });
+  const mode = String(req.body?.mode || BILLING_MODE).toLowerCase();
+  if (!["llm", "offline"].includes(mode)) return res.status(400).json({ error: `Unbekannter Modus: ${req.body?.mode} (llm oder offline)` });
+  if (mode === "llm" && !llm.configured) return res.status(500).json({ error: `Serverfehler: LLM-Anbieter „${llm.name}“ nicht konfiguriert (Schlüssel/Basis-URL fehlt)` });
+  const meta = { mode, catalogVersion };
+
+  // Leistungsdatum (optional, Standard: heute) bestimmt die gültige Tarifversion
+  const serviceDate = req.body?.serviceDate ? parseServiceDate(req.body.serviceDate) : todayIso();
+  if (!serviceDate) return res.status(400).json({ error: "Ungültiges Leistungsdatum (serviceDate): JJJJ-MM-TT oder TT.MM.JJJJ" });
+  // Alter in vollendeten Jahren (optional) für Altersregeln
+  const age = req.body?.age === undefined || req.body?.age === null || req.body?.age === "" ? null : Number(req.body.age);
+  if (age !== null && !(Number.isInteger(age) && age >= 0 && age <= 130)) return res.status(400).json({ error: "Ungültiges Alter (age): ganze Zahl 0–130" });
+  // Geschlecht (w/m/d) und ICD-10-Codes (optional) für Positionsgrenzen und typische Leistungen
+  const sex = parseSex(req.body?.sex);
+  if (sex === undefined) return res.status(400).json({ error: "Ungültiges Geschlecht (sex): w, m oder d" });
+  const icd = parseIcdCodes(req.body?.icd);
+  if (icd.error) return res.status(400).json({ error: icd.error });
+  // Pseudonymer Fallkontext (optional): { id, firstContact, billed } oder nur die Fall-ID
+  let caseInput = null;
+  if (req.body?.case !== undefined && req.body?.case !== null && req.body?.case !== "") {
+    const parsed = parseCaseInput(req.body.case);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    caseInput = parsed.case;
+    for (const b of caseInput.billed || []) if (b.payer) b.payer = mapToCanonicalPayer(b.payer);
+  }
 
-  // Follow-up mergen
-  const pending = getPendingPrompt(req);
-  if (pending) { userInput = `${pending} ${userInput}`.trim(); clearPendingPrompt(req); }
+  // Gespräch: Antworten auf offene Rückfragen als Slots, Eingabe = bisheriger Stand + Antworten
+  let conv;
+  try {
+    conv = await openConversation(req);
+  } catch (e) {
+    log("Gesprächsspeicher nicht erreichbar:", conversations.name, e?.message || e);
+    return res.status(503).json({ error: `Gesprächsspeicher nicht erreichbar (${conversations.name})` });
+  }
+  if (!conv) return res.status(404).json({ error: "Gespräch nicht gefunden oder abgelaufen (conversationId)" });
+  res.locals.conversation = conv;
+  const rawInput = userInput;
+  userInput = applyTurn(conv, rawInput, answers);
+  if (!userInput) return res.status(400).json({ error: "Antworten passen zu keiner offenen Rückfrage" });
+  res.locals.userInput = userInput;
 
   // 2) Guard: Nur „Dauer“ ohne Kontext
-  if (isBareDurationQuery(userInput)) {
-    setPendingPrompt(req, userInput);
-    return res.json({ output: "Rückfrage: Worum geht es genau? (z. B. Angehörigengespräch, Blutabnahme, EKG, Injektion …) Bitte kurz präzisieren." });
+  if (isDetailOnlyQuery(userInput)) {
+    setPendingPrompt(res, userInput);
+    return sendResult(res, question({ serviceDate, questions: [slotEngine.detailQuestion(slotModel)] }), meta);
   }
 
   // 3) Payer bestimmen (kanonisch)
+  // Request-Feld > Nennung in dieser Eingabe > Slot des Gesprächs > Nennung im bisherigen Stand
   let payer = req.body?.payer || null;
-  if (!payer) payer = extractCanonicalPayer(userInput);
+  if (!payer) payer = extractCanonicalPayer(rawInput) || conv.slots.payer || extractCanonicalPayer(userInput);
   else payer = mapToCanonicalPayer(payer);
   dbg("payer=", payer, "indexPayers=", Array.from(new Set(
     catalogIndex.items.map(i => mapToCanonicalPayer(i.payer))
@@ -427,146 +1423,134 @@ dbg({ canonicalPayer, allIndexPayers });
 
 // Wenn wir den Payer aus dem Text NICHT sicher erkennen konnten, lieber nachfragen
 if (!canonicalPayer) {
-  setPendingPrompt(req, userInput);
-  return res.json({ output: "Rückfrage: Welcher **Versicherungsträger**? (z. B. ÖGK, BVAEB, SVS) – sonst kann ich nicht den richtigen Katalog wählen." });
+  setPendingPrompt(res, userInput);
+  return sendResult(res, question({ serviceDate, questions: [
+    payerQuestion("Welcher **Versicherungsträger**? (z. B. ÖGK, BVAEB, SVS) – sonst kann ich nicht den richtigen Katalog wählen.")
+  ] }), meta);
 }
 
-  // 3a) Nur-Payer-Eingaben
-  if (payer && isPayerOnlyQuery(userInput)) {
-    setPendingPrompt(req, `(${payer})`);
-    return res.json({ output: `Rückfrage: Welche **Leistung** ist gemeint? (z. B. „Blutabnahme venös“ oder „Blutabnahme kapillar“) — Träger erkannt: **${payer}**.` });
+  // 3') Bundesland: Request-Feld > Nennung in dieser Eingabe > Slot des Gesprächs > Nennung im Text > Benutzer-Standard
+  let region = req.body?.region ? mapToCanonicalRegion(req.body.region) : null;
+  if (req.body?.region && !region) return res.status(400).json({ error: `Unbekanntes Bundesland: ${req.body.region}` });
+  if (!region) region = extractRegionFromText(rawInput) || mapToCanonicalRegion(conv.slots.region || "") || extractRegionFromText(userInput) || req.user?.region || null;
+  const payerRegions = regionsForPayer(canonicalPayer);
+  dbg({ region, payerRegions });
+  if (!region && payerRegions.length > 1) {
+    setPendingPrompt(res, userInput);
+    return sendResult(res, question({ payer: canonicalPayer, serviceDate, questions: [ask("region",
+      `Welches **Bundesland** (Landesstelle)? Die ${canonicalPayer}-Tarife unterscheiden sich regional (${payerRegions.join(", ")}).`,
+      payerRegions)] }), meta);
+  }
+  const scope = { serviceDate, region, age, sex };
+  const base = { payer: canonicalPayer, region, serviceDate };
+  // Kontext für die Regelprüfung (Limits, Alter, Fachgebiet)
+  // Fallkontext: im Request mitgeschickt oder beim Server gespeichert (nur Einträge dieses Trägers)
+  const patientCase = caseInput ? resolveCase(caseInput, caseStore.get(sessionKey(req), caseInput.id), canonicalPayer) : null;
+  if (patientCase) meta.case = caseSummary(patientCase, serviceDate);
+  const ruleCtx = { ...base, history: patientCase?.billed || [], case: meta.case || null, age, sex, icd: icd.codes, specialties: req.user?.specialties || [] };
+  res.locals.ruleContext = ruleCtx;
+
+  // Diagnosen (ICD-10-Feld, Codes oder Diagnosewörter im Text) → typische Leistungsbündel; gesucht wird ohne die Diagnosen
+  const bundles = bundlesFor({ codes: icd.codes, text: userInput }, diagnosisConfig);
+  const serviceText = withoutDiagnoses(userInput, bundles, diagnosisConfig);
+  const patient = age !== null || sex || icd.codes.length || bundles.length
+    ? { age, sex, icd: icd.codes, diagnoses: bundles.map(({ id, label, matchedBy }) => ({ id, label, matchedBy })) } : null;
+  if (patient) meta.patient = patient;
+
+  // 3a) Nur Diagnose (ggf. mit Träger): typische Leistungen zur Auswahl
+  if (bundles.length && isPayerOnlyQuery(serviceText)) {
+    const found = await bundleCandidates(bundles, canonicalPayer, scope);
+    if (found.length) {
+      setPendingPrompt(res, `${userInput},`);
+      return sendResult(res, diagnosisQuestion(bundles, found, base), meta);
+    }
   }
 
-  // 3b) Deterministisch: Blutabnahme (venös/kapillar)
-  {
-    const nt = norm(userInput);
-    const intent = bloodIntent(nt);
-    const vFlag = hasVenousFlag(nt);
-    const kFlag = hasCapillaryFlag(nt);
-    const { inOrd, inLab } = detectSetting(nt);
-
-    if (intent && payer) {
-      let items = catalogIndex.items.filter((x) => !payer || samePayer(x.payer, payer));
-      if (inOrd && !inLab) items = items.filter((it) => !/\blabor\b/i.test(it.title));
-      else if (inLab && !inOrd) items = items.filter((it) => /\blabor\b/i.test(it.title));
-
-      const matchVene = (t) => /(^|\b)blutentnahme aus der vene(\b|$)/i.test(t);
-      const matchKap  = (t) => /\b(kapillar|kapillarblut)\b/i.test(t);
-
-      const exactVene = vFlag ? items.find((it) => matchVene(it.title)) : null;
-      const exactKap  = kFlag ? items.find((it) => matchKap(it.title))  : null;
-
-      let exact = exactVene || exactKap;
-      if (!exact && intent && inOrd && !inLab) exact = items.find((it) => matchVene(it.title));
-
-      if (exact) {
-        const rows = `${exact.pos} | ${exact.title} | ${exact.points || ""}${exact.notes ? " | " + exact.notes : ""}`;
-        const out = `Pos.-Nr | Leistungstext | Punkte/€ | Zusatzinfo
-------- | ------------- | -------- | -----------
-${rows}
+  // 3a') Nur-Payer-Eingaben
+  if (payer && isPayerOnlyQuery(serviceText)) {
+    setPendingPrompt(res, `(${payer})`);
+    return sendResult(res, question({ ...base, questions: [ask("service",
+      `Welche **Leistung** ist gemeint? (z. B. „Blutabnahme venös“ oder „Blutabnahme kapillar“) — Träger erkannt: **${payer}**.`,
+      [{ value: "Blutabnahme venös", label: "Blutabnahme venös" }, { value: "Blutabnahme kapillar", label: "Blutabnahme kapillar" }])] }),
+    meta);
+  }
 
-Copy-Paste-Liste: ${exact.pos}`;
-        return res.json({ output: out });
-      }
-    }
+  // 3b) Mehrere Leistungen in einer Eingabe → jede einzeln auflösen und zusammenführen
+  const services = splitServices(serviceText, { isContext: isPayerOnlyQuery, isDetail: isDetailOnlyQuery,
+    resolve: (text) => serviceMatch(text, canonicalPayer, scope) });
+  if (services.length > 1) {
+    const { result, usage, fallbackReason } = await billConsultation(services, serviceText, { payer: canonicalPayer, scope, base, ruleCtx, mode, user: req.user });
+    // Bei Rückfragen wird die Antwort als weitere Leistung angehängt und ersetzt die vage Angabe (siehe splitServices)
+    if (result.status === "suggestion") clearPendingPrompt(res);
+    else setPendingPrompt(res, `${userInput},`);
+    return sendResult(res, result, { usage, ...meta, fallbackReason, services });
   }
 
-  // 3c) Kandidaten für LLM/Validierung
-  let candidates = findCandidates(userInput, payer);
+  // 3c) Deterministisch: Blutabnahme (venös/kapillar)
+  const blood = bloodShortcut(serviceText, payer, scope);
+  if (blood) return sendResult(res, suggestion({ ...base, positions: [positionFromItem(blood.item, { reason: blood.reason })] }), meta);
+
+  // 3d) Kandidaten für LLM/Validierung bzw. Offline-Rangliste
+  // eine Leistung mit Anzahl („Wundversorgung durch Naht, 3 Nähte“) → Anzahl wählt zwischen Anzahlbereichen
+  const ranked = await findCandidates(serviceText, payer, 12, services[0]?.quantity > 1 ? { ...scope, quantity: services[0].quantity } : scope);
+  let candidates = ranked.map((r) => r.item);
 
   // 4) AddOns (nur wenn nicht Blut-Intent)
+  let addOns = [];
   try {
-    const addOns = deriveAddOns(userInput, payer);
-    const nt = norm(userInput);
-    if (!bloodIntent(nt)) candidates = mergeCandidates(candidates, addOns);
+    const nt = norm(serviceText);
+    if (!bloodIntent(nt)) addOns = deriveAddOns(serviceText, payer, scope, ruleCtx);
+    candidates = mergeCandidates(candidates, addOns);
   } catch {}
 
   // 5) Rückfrage, wenn nötig
-  let preQ = earlyQuestion(userInput, payer);
-  if (!preQ && candidates.length === 0) {
-    preQ = "Unklar. Bitte die gewünschte Leistung genauer beschreiben (z. B. Träger, Technik, Dauer, Art).";
-  }
-  if (preQ) {
-    setPendingPrompt(req, userInput);
-    return res.json({ output: preQ });
+  const preQ = earlyQuestions(serviceText);
+  if (preQ.length) {
+    setPendingPrompt(res, userInput);
+    return sendResult(res, question({ ...base, questions: preQ }), meta);
   }
 
-  // 6) Ohne Kandidaten -> 400 (kein LLM-Call!)
+  // 6) Ohne Kandidaten -> kein LLM-Call
   if (!candidates.length) {
-    setPendingPrompt(req, userInput);
-    return res.status(400).json({
-      error: "Keine passenden Katalogeinträge gefunden. Bitte präziser eingeben (z. B. „ÖGK, Blutentnahme aus der Vene“).",
-    });
+    setPendingPrompt(res, userInput);
+    return sendResult(res, noMatch({ ...base,
+      message: "Unklar. Bitte die gewünschte Leistung genauer beschreiben (z. B. Träger, Technik, Dauer, Art)." }), meta);
   }
 
-  // 7) Gating-Regeln
-  const gatingRules = `
-DU DARFST AUSSCHLIESSLICH AUS DIESEN KANDIDATEN AUSWÄHLEN ODER ZUERST RÜCKFRAGEN STELLEN:
-${candidates.map((c) => `- ${c.payer} | ${c.pos} | ${c.title} | ${c.points || ""}${c.notes ? " | " + c.notes : ""}`).join("\n")}
-Wenn die Eingabe unklar ist, STELLE ZUERST GEZIELTE RÜCKFRAGEN (z. B. Gesprächsdauer, Träger, Technik).
-Gib IMMER nur Pos.-Nrn. aus dieser Liste zurück, wenn du vorschlägst.
-`;
+  // 6b) Offline: deterministische Antwort (auch Fallback, wenn das Modell nicht erreichbar ist)
+  const answerOffline = (fallbackReason = null) => {
+    const result = offlineResult(ranked, addOns, base, ruleCtx);
+    if (result.status === "suggestion") clearPendingPrompt(res);
+    else setPendingPrompt(res, userInput);
+    return sendResult(res, result, { ...meta, mode: "offline", fallbackReason, candidates: rankedView(ranked, addOns) });
+  };
+  if (mode === "offline") return answerOffline();
 
-  const messages = [
-    { role: "system", content: SYSTEM_PROMPT + "\n" + gatingRules },
-    ...FEW_SHOTS,
-    { role: "user", content: userInput },
-  ];
+  // 7) Modell anfragen (nur Kandidaten-IDs, Tabelle kommt aus dem Katalog)
+  log("Starte LLM-Request", { provider: llm.name, model: llm.model, user: req.user?.email || "unbekannt" });
 
-  // 8) Modell anfragen
+  // Textstellen zu den bestplatzierten Kandidaten (Limitierungen, Kombinationsverbote)
+  const citations = await groundingFor(candidates);
+  // typische Leistungen der Diagnosen als weitere Kandidaten – gewählt wird nur, was laut Eingabe erbracht wurde
+  if (bundles.length) candidates = mergeCandidates(candidates, (await bundleCandidates(bundles, canonicalPayer, scope)).map((f) => f.item));
+  let answer;
   try {
-    log("Starte OpenAI-Request", {
-      model: OPENAI_MODEL,
-      key: OPENAI_API_KEY ? OPENAI_API_KEY.slice(0, 7) + "…" + OPENAI_API_KEY.slice(-4) : "❌ kein Key",
-      user: req.user?.email || "unbekannt",
-    });
-
-    const openaiRes = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", Authorization: `Bearer ${OPENAI_API_KEY}` },
-      body: JSON.stringify({ model: OPENAI_MODEL, temperature: 0.2, max_completion_tokens: 1000, messages }),
-    });
-
-    if (!openaiRes.ok) {
-      const errBody = await openaiRes.text().catch(() => "");
-      log("OpenAI-Fehler", openaiRes.status, errBody);
-      if (openaiRes.status === 429 && /insufficient_quota/i.test(errBody)) {
-        return res.status(502).json({ error: "OpenAI-Kontingent erschöpft (API-Billing prüfen)." });
-      }
-      return res.status(502).json({ error: `OpenAI-Fehler ${openaiRes.status}: ${errBody || "keine Details"}` });
-    }
-
-    const data = await openaiRes.json();
-    const output = data?.choices?.[0]?.message?.content?.trim() || "";
-    if (!output) return res.status(502).json({ error: "Leere Antwort vom Modell." });
-
-    // 9) Soft-Validierung
-    const allowedSet = new Set(candidates.map((c) => String(c.pos).toLowerCase()));
-    const usedCodes = Array.from(new Set((output.match(/\b\d+[a-z]?\b/gi) || []).map((s) => s.toLowerCase())));
-    const illegalCodes = usedCodes.filter((x) => !allowedSet.has(x));
-
-    if (illegalCodes.length) {
-      const rows = candidates.map((c) => `${c.pos} | ${c.title} | ${c.points || ""}${c.notes ? " | " + c.notes : ""}`).join("\n");
-      const clarification = `Rückfrage: Welche Position ist gemeint? (Deine Antwort enthielt: ${illegalCodes.join(", ")})
-
-Pos.-Nr | Leistungstext | Punkte/€ | Zusatzinfo
-------- | ------------- | -------- | -----------
-${rows}
-
-Copy-Paste-Liste: ${candidates.map((c) => c.pos).join("; ")}`;
-      setPendingPrompt(req, userInput);
-      return res.json({ output: clarification, usage: data?.usage || null });
-    }
-
-    // 10) Erfolg
-    clearPendingPrompt(req);
-    res.json({ output, usage: data?.usage || null });
-  } catch (error) {
-    log("Unhandled /api/abrechnen error:", error?.message || error);
-    setPendingPrompt(req, userInput);
-    res.status(500).json({ error: error?.message || "Unbekannter Serverfehler" });
+    answer = await askModel(userInput, candidates, base, citations, patient);
+  } catch (e) {
+    if (!(e instanceof LlmError)) throw e;
+    log("LLM-Fehler", llm.name, e.status || "", e.message, e.body || "");
+    // Rate-Limit, Kontingent, Timeout oder Serverfehler (nach allen Wiederholungen) → deterministische Antwort
+    if (e.retryable || e.status === 429) return answerOffline(`${llm.name}: ${e.message}`);
+    return res.status(502).json({ error: e.status ? `LLM-Fehler (${llm.name}) ${e.message}${e.body ? `: ${e.body}` : ""}` : e.message });
   }
-});
+  const { result, usage } = answer;
+
+  // 8) Erfolg (bzw. Rückfrage des Modells)
+  if (result.status === "suggestion") clearPendingPrompt(res);
+  else setPendingPrompt(res, userInput);
+  const cited = citedFor(result, citations);
+  return sendResult(res, cited.length ? { ...result, citations: cited } : result, { usage, ...meta, candidates: rankedView(ranked, addOns) });
+}
 
 // Start
 app.listen(PORT, () => log(`Server läuft auf Port ${PORT}`));